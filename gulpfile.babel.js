@@ -209,11 +209,16 @@ gulp.task('webpack', (callback) => {
   );
 });
 
-gulp.task(
-  'scripts',
-  gulp.series('webpack', () =>
-    gulp.src('.temp/scripts/views/**/*').pipe(gulp.dest('dist/scripts/views'))
+gulp.task('views', () =>
+  gulp
+  .src('.temp/scripts/views/**/*')
+  // Replace links with revisioned URLs.
+  .pipe(
+    revReplace({
+      manifest: gulp.src(REV_MANIFEST),
+    })
   )
+  .pipe(gulp.dest('dist/scripts/views'))
 );
 
 gulp.task('data', () =>
@@ -296,8 +301,8 @@ gulp.task('wellknown', () =>
 
 gulp.task('build',
   gulp.series('clean',
-    gulp.parallel('styles', 'scripts', 'data', 'images', 'wellknown'),
-    gulp.parallel('root', 'html')));
+    gulp.parallel('styles', 'webpack', 'data', 'images', 'wellknown'),
+    gulp.parallel('root', 'html', 'views')));
 
 gulp.task('deploy', gulp.series('build', () =>
   gulp.src('dist').pipe(
@@ -52,6 +52,7 @@ type Envelope struct {
 
 func main() {
 	http.HandleFunc("/rates", handler)
+	http.HandleFunc("/rates/ecb.xml", ecbHandler)
 
 	port := os.Getenv("PORT")
 	if port == "" {
@@ -65,12 +66,12 @@ func main() {
 	}
 }
 
-func handler(w http.ResponseWriter, r *http.Request) {
-	// Fetch rates from ECB.
+// fetchECB returns the ECB's rates XML, or writes an error response.
+func fetchECB(w http.ResponseWriter) ([]byte, bool) {
 	resp, err := http.Get(RateURL)
 	if err != nil {
 		http.Error(w, "Error retrieving rates", 500)
-		return
+		return nil, false
 	}
 
 	defer resp.Body.Close()
@@ -79,13 +80,35 @@ func handler(w http.ResponseWriter, r *http.Request) {
 	body, err := ioutil.ReadAll(resp.Body)
 	if err != nil {
 		http.Error(w, "Error reading rates", 500)
+		return nil, false
+	}
+	return body, true
+}
+
+// ecbHandler passes the ECB's XML through as is, for the client's ECB
+// provider. The ECB doesn't allow cross-origin requests from the app.
+func ecbHandler(w http.ResponseWriter, r *http.Request) {
+	body, ok := fetchECB(w)
+	if !ok {
+		return
+	}
+
+	w.Header().Set("Content-Type", "application/xml")
+	w.Header().Set("Cache-Control", "public, max-age=21600")
+	w.Write(body)
+}
+
+func handler(w http.ResponseWriter, r *http.Request) {
+	// Fetch rates from ECB.
+	body, ok := fetchECB(w)
+	if !ok {
 		return
 	}
 
 	x := Envelope{}
 
 	// Unmarshal XML into Go struct.
-	err = xml.Unmarshal(body, &x)
+	err := xml.Unmarshal(body, &x)
 	if err != nil {
 		http.Error(w, "Error parsing rates", 500)
 		return
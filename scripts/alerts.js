@@ -0,0 +1,50 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  t,
+} from './i18n';
+import {createId} from './ids.js';
+
+/**
+ * Creates a rate alert.
+ * Alerts are evaluated by the service worker whenever new rates arrive, and
+ * fire once each time their condition starts being met.
+ * @param {string} from The 3-letter code of the currency being bought with.
+ * @param {string} to The 3-letter code of the currency being bought.
+ * @param {string} direction Either 'above' or 'below'.
+ * @param {number} threshold How much of the to currency 1 from should buy.
+ * @return {Object} The rate alert.
+ */
+export function createAlert(from, to, direction = 'above', threshold = 1) {
+  return {
+    id: createId(),
+    from,
+    to,
+    direction,
+    threshold,
+    triggered: false,
+  };
+}
+
+/**
+ * Describes a rate alert for the user.
+ * @param {Object} alert The rate alert.
+ * @return {string} The description, e.g. "1 GBP buys more than 1.2 EUR".
+ */
+export function describeAlert(alert) {
+  return t('alerts.describe', alert);
+}
@@ -0,0 +1,118 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Decimal from './decimal';
+import * as Csv from './csv.js';
+import {createId} from './ids.js';
+
+// Columns of the CSV export, in order.
+const CSV_COLUMNS = [
+  'time',
+  'from',
+  'fromAmount',
+  'to',
+  'toAmount',
+  'rate',
+  'rateDate',
+  'note',
+];
+
+/**
+ * Creates an entry for the conversion history.
+ * Amounts and rates are kept as decimal strings, so that they are exported
+ * exactly as they were shown.
+ * @param {string} from The 3-letter code of the currency converted from.
+ * @param {number|Decimal} fromAmount The amount converted.
+ * @param {string} to The 3-letter code of the currency converted to.
+ * @param {number|Decimal} toAmount The amount it converted to.
+ * @param {number|Decimal} rate How much one unit of from buys in to.
+ * @param {?string} rateDate The ISO date of the rates used, or null for a
+ *                           custom rate.
+ * @return {Object} The conversion.
+ */
+export function createConversion(from, fromAmount, to, toAmount, rate,
+  rateDate) {
+  return {
+    id: createId(),
+    time: Date.now(),
+    from,
+    fromAmount: Decimal.from(fromAmount).toString(),
+    to,
+    toAmount: Decimal.from(toAmount).toString(),
+    rate: Decimal.from(rate).toString(),
+    rateDate,
+    note: '',
+  };
+}
+
+/**
+ * Whether two conversions are of the same amount between the same currencies.
+ * @param {Object} a A conversion.
+ * @param {Object} b Another conversion.
+ * @return {boolean} True if they are the same conversion.
+ */
+export function isSameConversion(a, b) {
+  return a.from === b.from && a.to === b.to &&
+    a.fromAmount === b.fromAmount && a.toAmount === b.toAmount;
+}
+
+/**
+ * Whether a conversion matches a search, by currency code, amount, date or
+ * note. Every word searched for has to match.
+ * @param {Object} conversion The conversion.
+ * @param {string} query The search, e.g. "jpy taxi".
+ * @param {string} formatted The conversion as shown to the user, so that
+ *                           formatted amounts and dates match too.
+ * @return {boolean} True if the conversion matches.
+ */
+export function matchesConversion(conversion, query, formatted = '') {
+  const text = [
+    conversion.from,
+    conversion.fromAmount,
+    conversion.to,
+    conversion.toAmount,
+    new Date(conversion.time).toISOString().split('T', 1)[0],
+    conversion.note,
+    formatted,
+  ].join(' ').toLowerCase();
+
+  return query.toLowerCase().split(/\s+/)
+    .every((word) => text.includes(word));
+}
+
+/**
+ * Exports conversions as CSV, with a header row and ISO 8601 times.
+ * @param {Array.<Object>} conversions The conversions.
+ * @return {string} The CSV text.
+ */
+export function toCsv(conversions) {
+  return Csv.toCsv(CSV_COLUMNS, conversions.map((conversion) =>
+    CSV_COLUMNS.map((column) => column === 'time' ?
+      new Date(conversion.time).toISOString() : conversion[column])));
+}
+
+/**
+ * Exports conversions as JSON, with ISO 8601 times.
+ * @param {Array.<Object>} conversions The conversions.
+ * @return {string} The JSON text.
+ */
+export function toJson(conversions) {
+  return JSON.stringify(conversions.map((conversion) =>
+    CSV_COLUMNS.reduce((entry, column) => Object.assign(entry, {
+      [column]: column === 'time' ?
+        new Date(conversion.time).toISOString() : conversion[column],
+    }), {})), null, 2);
+}
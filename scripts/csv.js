@@ -0,0 +1,43 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Quotes a value for CSV, if needed.
+ * Text that spreadsheets would run as a formula, such as a note starting
+ * with "=", is prefixed with an apostrophe so that it shows as typed.
+ * Numbers, including negative ones, are left alone.
+ * @param {*} value The value.
+ * @return {string} The CSV field.
+ */
+function _csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes rows as CSV text, with a header row and CRLF line endings.
+ * @param {Array.<string>} columns The column names, for the header row.
+ * @param {Array.<Array.<*>>} rows The rows, with values in column order.
+ * @return {string} The CSV text.
+ */
+export function toCsv(columns, rows) {
+  return [columns].concat(rows)
+    .map((row) => row.map(_csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
@@ -14,24 +14,40 @@
  * limitations under the License.
  */
 
+// Keep in sync with the service worker, which shares this database.
+const DB_VERSION = 5;
+
+// The key-value store, plus the object stores for larger collections:
+// - history: rates payloads, keyed by their ISO date.
+// - alerts: rate alerts, keyed by their id.
+// - conversions: the user's conversion history, keyed by id.
+// - trips: trips with their expenses, keyed by id.
+const OBJECT_STORES = ['kv', 'history', 'alerts', 'conversions', 'trips'];
+
 /**
- * Returns a promise preparing our key-value store on IndexedDB.
+ * Returns a promise preparing our object stores on IndexedDB.
  *
  * @return {Promise.<IDBDatabase>} Promise to the IndexedDB database.
  */
 function prepareDb_() {
   return new Promise((resolve, reject) => {
     if (self.indexedDB) {
-      let req = self.indexedDB.open('db', 1);
+      let req = self.indexedDB.open('db', DB_VERSION);
       if (req) {
         req.onerror = (event) => reject(event);
         req.onsuccess = (event) => {
           let db = event.target.result;
+          // Don't block other tabs or the service worker from upgrading.
+          db.onversionchange = () => db.close();
           resolve(db);
         };
         req.onupgradeneeded = (event) => {
           let db = event.target.result;
-          db.createObjectStore('kv');
+          for (let store of OBJECT_STORES) {
+            if (!db.objectStoreNames.contains(store)) {
+              db.createObjectStore(store);
+            }
+          }
         };
       } else {
         reject('IndexedDB open failed.');
@@ -95,3 +111,127 @@ export function saveToStore(key, value) {
     }
   });
 }
+
+/**
+ * Returns a promise for deleting a value from our key-value store on
+ * IndexedDB.
+ * Falls back to local storage if IndexedDB is unavailable.
+ *
+ * @param {string} key The key-value pair key.
+ * @return {Promise} Promise to deletion success.
+ */
+export function deleteFromStore(key) {
+  return new Promise((resolve, reject) => {
+    if (self.indexedDB) {
+      let dbPromise = prepareDb_();
+      dbPromise.then((db) => {
+        db.onerror = (event) => reject(event);
+        let del = db.transaction('kv', 'readwrite')
+          .objectStore('kv').delete(key);
+        del.onsuccess = () => resolve();
+      });
+    } else {
+      localStorage.removeItem(key);
+      resolve();
+    }
+  });
+}
+
+/**
+ * Returns a promise for saving a value onto one of our object stores on
+ * IndexedDB.
+ * Falls back to local storage if IndexedDB is unavailable.
+ *
+ * @param {string} storeName The name of the object store, e.g. 'history'.
+ * @param {string} key The key for the value.
+ * @param {Object} value The value.
+ * @return {Promise} Promise to storage success.
+ */
+export function saveToObjectStore(storeName, key, value) {
+  return new Promise((resolve, reject) => {
+    if (self.indexedDB) {
+      let dbPromise = prepareDb_();
+      dbPromise.then((db) => {
+        db.onerror = (event) => reject(event);
+        let put = db.transaction(storeName, 'readwrite')
+          .objectStore(storeName).put(value, key);
+        put.onsuccess = () => resolve();
+      });
+    } else {
+      localStorage.setItem(`${storeName}:${key}`, JSON.stringify(value));
+      resolve();
+    }
+  });
+}
+
+/**
+ * Returns a promise for loading all the entries in one of our object stores
+ * on IndexedDB, ordered by key.
+ * Falls back to local storage if IndexedDB is unavailable.
+ *
+ * @param {string} storeName The name of the object store, e.g. 'history'.
+ * @return {Promise.<Array.<{key: string, value: Object}>>} Promise to the
+ *     entries in the store.
+ */
+export function loadAllFromObjectStore(storeName) {
+  return new Promise((resolve, reject) => {
+    if (self.indexedDB) {
+      let dbPromise = prepareDb_();
+      dbPromise.then((db) => {
+        db.onerror = (event) => reject(event);
+        let entries = [];
+        let cursor = db.transaction(storeName, 'readonly')
+          .objectStore(storeName).openCursor();
+        cursor.onsuccess = (event) => {
+          let current = event.target.result;
+          if (current) {
+            entries.push({key: current.key, value: current.value});
+            current.continue();
+          } else {
+            resolve(entries);
+          }
+        };
+      });
+    } else {
+      let prefix = `${storeName}:`;
+      let entries = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        let key = localStorage.key(i);
+        if (key.indexOf(prefix) === 0) {
+          entries.push({
+            key: key.slice(prefix.length),
+            value: JSON.parse(localStorage.getItem(key)),
+          });
+        }
+      }
+      entries.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+      resolve(entries);
+    }
+  });
+}
+
+/**
+ * Returns a promise for deleting an entry from one of our object stores on
+ * IndexedDB.
+ * Falls back to local storage if IndexedDB is unavailable.
+ *
+ * @param {string} storeName The name of the object store, e.g. 'history'.
+ * @param {string} key The key of the entry to delete.
+ * @return {Promise} Promise to deletion success.
+ */
+export function deleteFromObjectStore(storeName, key) {
+  return new Promise((resolve, reject) => {
+    if (self.indexedDB) {
+      let dbPromise = prepareDb_();
+      dbPromise.then((db) => {
+        db.onerror = (event) => reject(event);
+        let del = db.transaction(storeName, 'readwrite')
+          .objectStore(storeName).delete(key);
+        del.onsuccess = () => resolve();
+      });
+    } else {
+      localStorage.removeItem(`${storeName}:${key}`);
+      resolve();
+    }
+  });
+}
@@ -0,0 +1,242 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* global BigInt */
+/* eslint new-cap: ["error", { "capIsNewExceptions": ["BigInt"] }] */
+
+// Number of decimal places kept when dividing, before any final rounding.
+const DIVISION_SCALE = 20;
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+const ZERO = BigInt(0);
+const ONE = BigInt(1);
+const TWO = BigInt(2);
+const TEN = BigInt(10);
+
+/**
+ * Returns 10 to the power of the given exponent, as a BigInt.
+ * @param {number} exponent A non-negative integer exponent.
+ * @return {BigInt} The power of ten.
+ */
+function _pow10(exponent) {
+  let result = ONE;
+  for (let i = 0; i < exponent; i++) {
+    result *= TEN;
+  }
+  return result;
+}
+
+/**
+ * Divides two BigInts, rounding half away from zero.
+ * @param {BigInt} numerator The numerator.
+ * @param {BigInt} denominator The denominator. Must not be zero.
+ * @return {BigInt} The rounded quotient.
+ */
+function _divideAndRound(numerator, denominator) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  const absRemainder = remainder < ZERO ? -remainder : remainder;
+  const absDenominator = denominator < ZERO ? -denominator : denominator;
+
+  if (TWO * absRemainder >= absDenominator) {
+    const negative = (numerator < ZERO) !== (denominator < ZERO);
+    return negative ? quotient - ONE : quotient + ONE;
+  }
+  return quotient;
+}
+
+/**
+ * An exact decimal number, stored as an integer coefficient and a number of
+ * decimal places. Avoids the rounding surprises of binary floating point,
+ * e.g. 0.1 + 0.2.
+ */
+export default class Decimal {
+  /**
+   * Constructor for Decimal. Use Decimal.from for parsing values.
+   * @param {BigInt} coefficient The unscaled integer value.
+   * @param {number} scale The number of decimal places in the coefficient.
+   */
+  constructor(coefficient, scale = 0) {
+    this._coefficient = coefficient;
+    this._scale = scale;
+  }
+
+  /**
+   * Creates a Decimal from a number, a numeric string or another Decimal.
+   * @param {number|string|Decimal} value The value to convert.
+   * @return {Decimal} The created Decimal.
+   */
+  static from(value) {
+    if (value instanceof Decimal) {
+      return value;
+    }
+
+    // Numbers are converted through their shortest round-tripping string,
+    // so that e.g. 0.1 becomes exactly 0.1 rather than its binary expansion.
+    const match = DECIMAL_PATTERN.exec(String(value).trim());
+    if (typeof value === 'number' && !isFinite(value) || !match ||
+      (!match[2] && !match[3])) {
+      throw new TypeError(`Not a decimal number: ${value}.`);
+    }
+
+    const [, sign, whole = '', fraction = '', exponent = '0'] = match;
+    let coefficient = BigInt(`${whole}${fraction}` || '0');
+    let scale = fraction.length - parseInt(exponent, 10);
+
+    if (scale < 0) {
+      coefficient *= _pow10(-scale);
+      scale = 0;
+    }
+    return new Decimal(sign === '-' ? -coefficient : coefficient, scale);
+  }
+
+  /**
+   * Returns the sum of this and another value.
+   * @param {number|string|Decimal} other The value to add.
+   * @return {Decimal} The sum.
+   */
+  plus(other) {
+    const [a, b, scale] = this._align(Decimal.from(other));
+    return new Decimal(a + b, scale);
+  }
+
+  /**
+   * Returns the difference between this and another value.
+   * @param {number|string|Decimal} other The value to subtract.
+   * @return {Decimal} The difference.
+   */
+  minus(other) {
+    const [a, b, scale] = this._align(Decimal.from(other));
+    return new Decimal(a - b, scale);
+  }
+
+  /**
+   * Returns the product of this and another value.
+   * @param {number|string|Decimal} other The value to multiply by.
+   * @return {Decimal} The product.
+   */
+  times(other) {
+    other = Decimal.from(other);
+    return new Decimal(this._coefficient * other._coefficient,
+      this._scale + other._scale);
+  }
+
+  /**
+   * Returns the quotient of this and another value, rounded half away from
+   * zero to the given number of decimal places.
+   * @param {number|string|Decimal} other The value to divide by.
+   * @param {number} scale The number of decimal places to keep.
+   * @return {Decimal} The quotient.
+   */
+  dividedBy(other, scale = DIVISION_SCALE) {
+    other = Decimal.from(other);
+    if (other._coefficient === ZERO) {
+      throw new RangeError('Division by zero.');
+    }
+
+    // We want (a / 10^sa) / (b / 10^sb) * 10^scale, as an integer.
+    const shift = scale - this._scale + other._scale;
+    const numerator = shift >= 0 ?
+      this._coefficient * _pow10(shift) : this._coefficient;
+    const denominator = shift >= 0 ?
+      other._coefficient : other._coefficient * _pow10(-shift);
+
+    return new Decimal(_divideAndRound(numerator, denominator), scale);
+  }
+
+  /**
+   * Returns this value rounded half away from zero to the given number of
+   * decimal places. This matches how banks and receipts round amounts.
+   * @param {number} places The number of decimal places to keep.
+   * @return {Decimal} The rounded value.
+   */
+  round(places) {
+    if (this._scale <= places) {
+      return this;
+    }
+    return new Decimal(
+      _divideAndRound(this._coefficient, _pow10(this._scale - places)), places);
+  }
+
+  /**
+   * Compares this value to another.
+   * @param {number|string|Decimal} other The value to compare to.
+   * @return {number} -1, 0 or 1 if this is smaller, equal or larger.
+   */
+  compareTo(other) {
+    const [a, b] = this._align(Decimal.from(other));
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  /**
+   * Whether this value is zero.
+   * @return {boolean} True if zero.
+   */
+  isZero() {
+    return this._coefficient === ZERO;
+  }
+
+  /**
+   * Returns a string with exactly the given number of decimal places,
+   * rounding half away from zero if needed.
+   * @param {number} places The number of decimal places.
+   * @return {string} The formatted value, e.g. "-1234.50".
+   */
+  toFixed(places) {
+    const rounded = this.round(places);
+    const negative = rounded._coefficient < ZERO;
+    const digits = String(negative ?
+      -rounded._coefficient : rounded._coefficient);
+    const padded = (digits + '0'.repeat(places - rounded._scale))
+      .padStart(places + 1, '0');
+    const whole = padded.slice(0, padded.length - places) || '0';
+    const fraction = padded.slice(padded.length - places);
+
+    return `${negative ? '-' : ''}${whole}${places > 0 ? '.' : ''}${fraction}`;
+  }
+
+  /**
+   * Returns the value as a string, without trailing zeroes.
+   * @return {string} The string representation.
+   */
+  toString() {
+    const fixed = this.toFixed(this._scale);
+    return this._scale > 0 ? fixed.replace(/\.?0+$/, '') : fixed;
+  }
+
+  /**
+   * Returns the nearest JavaScript number. May lose precision.
+   * @return {number} The value as a number.
+   */
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  /**
+   * Brings two decimals to the same scale.
+   * @param {Decimal} other The other decimal.
+   * @return {Array} The two coefficients and their common scale.
+   */
+  _align(other) {
+    const scale = Math.max(this._scale, other._scale);
+    return [
+      this._coefficient * _pow10(scale - this._scale),
+      other._coefficient * _pow10(scale - other._scale),
+      scale,
+    ];
+  }
+}
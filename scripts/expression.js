@@ -0,0 +1,272 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Decimal from './decimal';
+import {
+  t,
+} from './i18n';
+
+const OPERATORS = {
+  '+': '+',
+  '-': '-',
+  '−': '-',
+  '*': '*',
+  '×': '*',
+  'x': '*',
+  '/': '/',
+  '÷': '/',
+  '%': '%',
+  '(': '(',
+  ')': ')',
+};
+
+/**
+ * Represents an error thrown by this module.
+ */
+export class ExpressionError {
+  /**
+   * @param {string} message The custom error message.
+   * @param {number} position The index in the text where the problem starts.
+   * @param {number} length The length of the malformed part of the text.
+   */
+  constructor(message, position, length = 1) {
+    this.message = message;
+    this.position = position;
+    this.length = length;
+  }
+}
+
+/**
+ * Splits an expression into number and operator tokens.
+ * @param {string} text The expression text.
+ * @param {string} decimalSeparator The decimal separator for the locale.
+ * @return {Array.<Object>} The tokens, each with a type, value and position.
+ */
+function _tokenize(text, decimalSeparator) {
+  const tokens = [];
+  // Escape the characters that are special inside a character class.
+  const separator = decimalSeparator.replace(/[\\\]^-]/g, '\\$&');
+  const number = new RegExp(`\\d*(?:[.${separator}]\\d*)?`, 'y');
+  let position = 0;
+
+  while (position < text.length) {
+    const char = text.charAt(position);
+
+    if (/\s/.test(char)) {
+      position++;
+    } else if (char in OPERATORS) {
+      tokens.push({type: OPERATORS[char], value: char, position});
+      position++;
+    } else {
+      number.lastIndex = position;
+      const match = number.exec(text)[0];
+      if (!/\d/.test(match)) {
+        throw new ExpressionError(
+          t('expression.notAllowed', {char, position: position + 1}),
+          position);
+      }
+      tokens.push({
+        type: 'number',
+        value: match.replace(decimalSeparator, '.'),
+        position,
+        length: match.length,
+      });
+      position += match.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * A recursive-descent parser and evaluator for simple arithmetic.
+ * Supports + - * / and parentheses, as well as percentages, where
+ * "a + b%" adds b percent of a, and "a * b%" takes b percent of a.
+ */
+class Parser {
+  /**
+   * @param {string} text The expression text.
+   * @param {string} decimalSeparator The decimal separator for the locale.
+   */
+  constructor(text, decimalSeparator) {
+    this._text = text;
+    this._tokens = _tokenize(text, decimalSeparator);
+    this._index = 0;
+  }
+
+  /**
+   * Parses and evaluates the whole expression.
+   * @return {Decimal} The result.
+   */
+  evaluate() {
+    const result = this._expression();
+    const extra = this._peek();
+
+    if (extra) {
+      throw this._unexpected(extra);
+    }
+    return result.value;
+  }
+
+  /**
+   * Returns the next token without consuming it.
+   * @return {?Object} The token, or null at the end of the expression.
+   */
+  _peek() {
+    return this._tokens[this._index] || null;
+  }
+
+  /**
+   * Creates an error for an unexpected token.
+   * @param {?Object} token The token, or null for the end of the expression.
+   * @return {ExpressionError} The error.
+   */
+  _unexpected(token) {
+    if (!token) {
+      return new ExpressionError(t('expression.incomplete'),
+        this._text.length, 0);
+    }
+    return new ExpressionError(
+      t('expression.unexpected',
+        {token: token.value, position: token.position + 1}),
+      token.position, token.length || 1);
+  }
+
+  /**
+   * expression := term (('+' | '-') term)*
+   * @return {Object} The value, and whether it is a bare percentage.
+   */
+  _expression() {
+    let left = this._term();
+
+    while (this._peek() &&
+      (this._peek().type === '+' || this._peek().type === '-')) {
+      const operator = this._tokens[this._index++].type;
+      const right = this._term();
+      // A bare percentage is relative to what it's being added to.
+      const amount = right.percent ?
+        left.value.times(right.value) : right.value;
+
+      left = {
+        value: operator === '+' ?
+          left.value.plus(amount) : left.value.minus(amount),
+        percent: false,
+      };
+    }
+    return left;
+  }
+
+  /**
+   * term := unary (('*' | '/') unary)*
+   * @return {Object} The value, and whether it is a bare percentage.
+   */
+  _term() {
+    let left = this._unary();
+
+    while (this._peek() &&
+      (this._peek().type === '*' || this._peek().type === '/')) {
+      const operator = this._tokens[this._index++];
+      const right = this._unary();
+
+      if (operator.type === '*') {
+        left = {value: left.value.times(right.value), percent: false};
+      } else if (right.value.isZero()) {
+        throw new ExpressionError(
+          t('expression.divideByZero', {position: operator.position + 1}),
+          operator.position);
+      } else {
+        left = {value: left.value.dividedBy(right.value), percent: false};
+      }
+    }
+    return left;
+  }
+
+  /**
+   * unary := ('+' | '-') unary | primary '%'?
+   * @return {Object} The value, and whether it is a bare percentage.
+   */
+  _unary() {
+    const token = this._peek();
+
+    if (token && (token.type === '+' || token.type === '-')) {
+      this._index++;
+      const operand = this._unary();
+      return {
+        value: token.type === '-' ?
+          Decimal.from(0).minus(operand.value) : operand.value,
+        percent: operand.percent,
+      };
+    }
+
+    const value = this._primary();
+    if (this._peek() && this._peek().type === '%') {
+      this._index++;
+      return {value: value.dividedBy(100), percent: true};
+    }
+    return {value, percent: false};
+  }
+
+  /**
+   * primary := number | '(' expression ')'
+   * @return {Decimal} The value.
+   */
+  _primary() {
+    const token = this._peek();
+
+    if (token && token.type === 'number') {
+      this._index++;
+      return Decimal.from(token.value);
+    }
+
+    if (token && token.type === '(') {
+      this._index++;
+      const inner = this._expression();
+      if (!this._peek() || this._peek().type !== ')') {
+        throw new ExpressionError(
+          t('expression.missingParen', {position: token.position + 1}),
+          token.position);
+      }
+      this._index++;
+      return inner.value;
+    }
+
+    throw this._unexpected(token);
+  }
+}
+
+/**
+ * Evaluates an arithmetic expression, without using eval.
+ * @param {string} text The expression, e.g. "3*4.50+2" or "80 + 15%".
+ * @param {string} decimalSeparator The decimal separator for the locale.
+ *                                  A period is always accepted as well.
+ * @return {?Decimal} The result, or null if the text is empty.
+ * @throws {ExpressionError} If the expression is malformed.
+ */
+export function evaluate(text, decimalSeparator = '.') {
+  if (text.trim() === '') {
+    return null;
+  }
+  return new Parser(text, decimalSeparator).evaluate();
+}
+
+/**
+ * Whether the text is more than a plain number, i.e. needs calculating.
+ * @param {string} text The expression text.
+ * @return {boolean} True if the text contains any operators.
+ */
+export function isCalculation(text) {
+  return /[^\d\s.,]/.test(text.trim().replace(/^[+-]/, ''));
+}
@@ -0,0 +1,59 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Decimal from './decimal';
+import {createId} from './ids.js';
+
+/**
+ * Fee profiles offered until the user edits their own.
+ */
+export const DEFAULT_PROFILES = [
+  createProfile('Card', 2.75, 0),
+  createProfile('ATM withdrawal', 2.75, 3),
+  createProfile('Cash bureau', 7, 0),
+];
+
+/**
+ * Creates a fee profile.
+ * A profile adds a percentage markup over the mid-market rate, plus a fixed
+ * fee per transaction, both charged in the home currency.
+ * @param {string} name The name shown to the user, e.g. "Visa".
+ * @param {number} percentage The markup, in percent.
+ * @param {number} fixed The fixed fee per transaction.
+ * @return {Object} The fee profile.
+ */
+export function createProfile(name, percentage = 0, fixed = 0) {
+  return {
+    id: createId(),
+    name,
+    percentage,
+    fixed,
+  };
+}
+
+/**
+ * Applies a fee profile to a mid-market amount.
+ * @param {number|Decimal} amount The mid-market amount, in the home currency.
+ * @param {Object} profile The fee profile to apply.
+ * @param {number} minorUnits The number of decimal places to round to.
+ * @return {Decimal} What will really be paid, in the home currency.
+ */
+export function applyFee(amount, profile, minorUnits = 2) {
+  const mid = Decimal.from(amount);
+  const markup = mid.times(profile.percentage || 0).dividedBy(100);
+
+  return mid.plus(markup).plus(profile.fixed || 0).round(minorUnits);
+}
@@ -0,0 +1,135 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Decimal from './decimal';
+
+// Locale used for formatting. Undefined means the browser default.
+let locale = undefined;
+let narrowSymbols = true;
+let formatters = new Map();
+
+/**
+ * Sets the locale used for all formatting.
+ * @param {?string} newLocale A BCP 47 language tag, or null for the browser
+ *                            default.
+ */
+export function setLocale(newLocale) {
+  const supported = newLocale ?
+    Intl.NumberFormat.supportedLocalesOf([newLocale]) : [];
+  locale = supported.length ? supported[0] : undefined;
+  formatters = new Map();
+}
+
+/**
+ * Sets whether to use narrow currency symbols (e.g. "$") rather than
+ * unambiguous ones (e.g. "US$").
+ * @param {boolean} narrow Whether to use narrow symbols.
+ */
+export function setNarrowSymbols(narrow) {
+  narrowSymbols = Boolean(narrow);
+  formatters = new Map();
+}
+
+/**
+ * Returns a cached Intl.NumberFormat for the given options.
+ * @param {?string} code The 3-letter currency code, or null for plain amounts.
+ * @param {number} minorUnits The number of decimal places to show.
+ * @return {Intl.NumberFormat} The formatter.
+ */
+function _getFormatter(code, minorUnits) {
+  const key = `${code}|${minorUnits}`;
+
+  if (!formatters.has(key)) {
+    const options = {
+      minimumFractionDigits: minorUnits,
+      maximumFractionDigits: minorUnits,
+    };
+    let formatter = null;
+
+    if (code) {
+      options.style = 'currency';
+      options.currency = code;
+      options.currencyDisplay = narrowSymbols ? 'narrowSymbol' : 'symbol';
+      try {
+        formatter = new Intl.NumberFormat(locale, options);
+      } catch (e) {
+        // Older browsers don't support narrow symbols.
+        options.currencyDisplay = 'symbol';
+        formatter = new Intl.NumberFormat(locale, options);
+      }
+    } else {
+      formatter = new Intl.NumberFormat(locale, options);
+    }
+    formatters.set(key, formatter);
+  }
+
+  return formatters.get(key);
+}
+
+/**
+ * Formats an amount of a currency for display, with the currency symbol
+ * placed as is customary for the locale.
+ * @param {?number|Decimal} value The value to format.
+ * @param {string} code The 3-letter code for the currency.
+ * @param {number} minorUnits The number of decimal places for the currency.
+ * @return {string} The formatted value, or an empty string for null.
+ */
+export function formatCurrency(value, code, minorUnits = 2) {
+  if (value === null) {
+    return '';
+  }
+  // Intl rounds numbers half-even in some browsers, so round beforehand.
+  return _getFormatter(code, minorUnits)
+    .format(Decimal.from(value).toFixed(minorUnits));
+}
+
+/**
+ * Formats an amount for display, without any currency symbol.
+ * @param {?number|Decimal} value The value to format.
+ * @param {number} minorUnits The number of decimal places for the currency.
+ * @return {string} The formatted value, or an empty string for null.
+ */
+export function formatAmount(value, minorUnits = 2) {
+  if (value === null) {
+    return '';
+  }
+  return _getFormatter(null, minorUnits)
+    .format(Decimal.from(value).toFixed(minorUnits));
+}
+
+/**
+ * Returns the decimal separator for the current locale.
+ * @return {string} The separator, e.g. "." or ",".
+ */
+export function getDecimalSeparator() {
+  const parts = _getFormatter(null, 1).formatToParts(1.1);
+  const decimal = parts.find((part) => part.type === 'decimal');
+  return decimal ? decimal.value : '.';
+}
+
+/**
+ * Formats an exchange rate for display, with a few significant digits.
+ * @param {number|Decimal} value The rate to format.
+ * @return {string} The formatted rate.
+ */
+export function formatRate(value) {
+  if (!formatters.has('rate')) {
+    formatters.set('rate', new Intl.NumberFormat(locale, {
+      maximumSignificantDigits: 5,
+    }));
+  }
+  return formatters.get('rate').format(Decimal.from(value).toNumber());
+}
@@ -18,6 +18,20 @@ import {
   fetchJson,
 } from './promise-utils';
 
+// How far away a position can be from a country's boundary, in degrees, and
+// still be considered part of it. Boundaries are simplified, so coastal
+// positions such as airports can fall just outside them.
+const COAST_TOLERANCE = 0.3;
+
+// When watching the position, how long to wait and how far to move, in
+// metres, before reporting a new position. Enough to notice a border crossing
+// on a road or rail trip, without looking up the country all the time.
+const WATCH_INTERVAL = 2 * 60 * 1000;
+const WATCH_DISTANCE = 2000;
+
+// Mean radius of the Earth, in metres.
+const EARTH_RADIUS = 6371000;
+
 /**
  * Represents an error thrown by this module.
  */
@@ -57,9 +71,61 @@ export function getCurrentPosition() {
   });
 }
 
+/**
+ * Returns the distance between two positions, along the surface of the Earth.
+ *
+ * @param {Position} from The first position.
+ * @param {Position} to The second position.
+ * @return {number} The distance, in metres.
+ */
+function _distance(from, to) {
+  const radians = (degrees) => degrees * Math.PI / 180;
+  const lat1 = radians(from.coords.latitude);
+  const lat2 = radians(to.coords.latitude);
+  const dLat = lat2 - lat1;
+  const dLon = radians(to.coords.longitude - from.coords.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Watches the position at low accuracy, e.g. to notice border crossings.
+ * New positions are only reported every few minutes, once the user has moved
+ * far enough from the last one reported.
+ *
+ * @param {function(Position)} onPosition Called with each new position.
+ * @param {function(GeoError)} onError Called if the position is unavailable.
+ * @return {function()} Function to stop watching the position.
+ */
+export function watchPosition(onPosition, onError) {
+  let last = null;
+
+  if (!navigator.geolocation) {
+    onError(new GeoError('Unsupported', null, 'Geo location not supported.'));
+    return () => {};
+  }
+
+  const id = navigator.geolocation.watchPosition((position) => {
+    if (last && (position.timestamp - last.timestamp < WATCH_INTERVAL ||
+      _distance(last, position) < WATCH_DISTANCE)) {
+      return;
+    }
+    last = position;
+    onPosition(position);
+  }, (error) => onError(new GeoError('PositionError', error)), {
+    enableHighAccuracy: false,
+    maximumAge: WATCH_INTERVAL,
+  });
+
+  return () => navigator.geolocation.clearWatch(id);
+}
+
 /**
  * Returns a promise for reversed geo data for the provided position, using
- * the Google Maps API.
+ * the Google Maps API. Needs a connection, so only used to refine the
+ * on-device lookupCountry.
  *
  * @param {Position} position The position to get data for.
  * @return {Promise.<Object>} The constructed promise.
@@ -90,3 +156,175 @@ export function reverseGeocode(position) {
 
   throw new Error('No position data for reversing geocode.');
 }
+
+/**
+ * Returns the country for the result of a reverse geocode request.
+ *
+ * @param {Object} geoData The geo data returned by the Google Maps API.
+ * @return {?Object} The country code and name, or null if there is none.
+ */
+export function countryFromGeocode(geoData) {
+  if (geoData && geoData.status === 'OK' && geoData.results &&
+    geoData.results[0]) {
+    const bestGuess = geoData.results[0];
+    const country = bestGuess.address_components.find((item) =>
+      item.types.includes('country'));
+
+    if (country) {
+      return {
+        countryCode: country.short_name,
+        countryName: country.long_name,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a point is inside a ring, using the even-odd rule.
+ *
+ * @param {Array.<number>} ring The ring, as flat longitude, latitude pairs.
+ * @param {number} x The longitude of the point.
+ * @param {number} y The latitude of the point.
+ * @return {boolean} True if the point is inside.
+ */
+function _inRing(ring, x, y) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+    const [xi, yi, xj, yj] = [ring[i], ring[i + 1], ring[j], ring[j + 1]];
+    if ((yi > y) !== (yj > y) &&
+      x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Returns the distance from a point to the edge of a ring, roughly corrected
+ * for longitude lines converging towards the poles.
+ *
+ * @param {Array.<number>} ring The ring, as flat longitude, latitude pairs.
+ * @param {number} x The longitude of the point.
+ * @param {number} y The latitude of the point.
+ * @return {number} The distance, in degrees of latitude.
+ */
+function _distanceToRing(ring, x, y) {
+  const scale = Math.cos(y * Math.PI / 180);
+  let distance = Infinity;
+
+  for (let i = 2; i < ring.length; i += 2) {
+    const ax = ring[i - 2] * scale;
+    const ay = ring[i - 1];
+    const dx = ring[i] * scale - ax;
+    const dy = ring[i + 1] - ay;
+    const length = dx * dx + dy * dy;
+    const t = length ? Math.max(0, Math.min(1,
+      ((x * scale - ax) * dx + (y - ay) * dy) / length)) : 0;
+
+    distance = Math.min(distance,
+      Math.hypot(x * scale - ax - t * dx, y - ay - t * dy));
+  }
+  return distance;
+}
+
+/**
+ * Returns the country for a position, using bundled country boundaries, so
+ * that it works offline.
+ * Enclaves such as San Marino or Lesotho are found inside their surrounding
+ * country, as the smallest country containing the position wins. Countries
+ * much smaller than the simplified boundaries, such as Vatican City and
+ * Monaco, aren't told apart and are reported as Italy and France.
+ *
+ * @param {Position} position The position to look up.
+ * @param {Object} boundaries Map of country codes to their name, bounding
+ *     box and polygons, as in data/country-boundaries.json.
+ * @return {?Object} The country code and name, or null if the position is
+ *     not near any country.
+ */
+export function lookupCountry(position, boundaries) {
+  if (!position || !position.coords || !boundaries) {
+    return null;
+  }
+
+  const x = position.coords.longitude;
+  const y = position.coords.latitude;
+  let best = null;
+  let bestArea = Infinity;
+  let nearest = null;
+  let nearestDistance = COAST_TOLERANCE;
+
+  for (const code of Object.keys(boundaries)) {
+    const {bbox: [west, south, east, north], polygons} = boundaries[code];
+    if (x < west - COAST_TOLERANCE || x > east + COAST_TOLERANCE ||
+      y < south - COAST_TOLERANCE || y > north + COAST_TOLERANCE) {
+      continue;
+    }
+
+    const area = (east - west) * (north - south);
+    for (const [outer, ...holes] of polygons) {
+      if (_inRing(outer, x, y) && !holes.some((hole) => _inRing(hole, x, y))) {
+        if (area < bestArea) {
+          best = code;
+          bestArea = area;
+        }
+      } else if (!best) {
+        const distance = _distanceToRing(outer, x, y);
+        if (distance < nearestDistance) {
+          nearest = code;
+          nearestDistance = distance;
+        }
+      }
+    }
+  }
+
+  const code = best || nearest;
+  return code ? {countryCode: code, countryName: boundaries[code].name} : null;
+}
+
+/**
+ * Returns the most likely country for the user's language preferences, from
+ * the first one with a region, e.g. "GB" for "en-GB".
+ *
+ * @param {Array.<string>} languages The BCP 47 language tags, in order of
+ *     preference, e.g. navigator.languages.
+ * @return {?string} The 2-letter country code, or null if there is none.
+ */
+export function countryFromLanguages(languages) {
+  const tags = (languages || []).filter(Boolean);
+
+  for (const tag of tags) {
+    const region = tag.split(/[-_]/).slice(1)
+      .find((subtag) => /^[A-Za-z]{2}$/.test(subtag));
+    if (region) {
+      return region.toUpperCase();
+    }
+  }
+
+  // Fall back to the likeliest region for the preferred language, e.g. "DE"
+  // for "de".
+  if (tags.length && typeof Intl !== 'undefined' && Intl.Locale) {
+    try {
+      return new Intl.Locale(tags[0]).maximize().region || null;
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the country for the device's time zone.
+ *
+ * @param {Object} timeZoneCountries Map of IANA time zone names to country
+ *     codes, as in data/timezone-countries.json.
+ * @return {?string} The 2-letter country code, or null if unknown.
+ */
+export function countryFromTimeZone(timeZoneCountries) {
+  if (typeof Intl === 'undefined' || !Intl.DateTimeFormat) {
+    return null;
+  }
+  const timeZone = new Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return (timeZone && timeZoneCountries[timeZone]) || null;
+}
@@ -0,0 +1,316 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  fetchJson,
+} from './promise-utils';
+
+import en from '../data/messages-en.json';
+
+// Message catalogs for the other languages, loaded when first used. English
+// is bundled, and used for any message missing from the other catalogs.
+// Keep the paths literal, so that the build can revision them.
+const CATALOGS = {
+  ar: 'data/messages-ar.json',
+  de: 'data/messages-de.json',
+  es: 'data/messages-es.json',
+  he: 'data/messages-he.json',
+};
+
+// Languages written right to left.
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+let language = 'en';
+let catalog = en;
+let parsed = new Map();
+let pluralRules = null;
+let displayNames = new Map();
+
+/**
+ * Returns the languages the UI is available in.
+ * @return {Array.<string>} The language codes, e.g. "de".
+ */
+export function getLanguages() {
+  return ['en'].concat(Object.keys(CATALOGS));
+}
+
+/**
+ * Returns the language the UI is currently shown in.
+ * @return {string} The language code, e.g. "de".
+ */
+export function getLanguage() {
+  return language;
+}
+
+/**
+ * Whether the current language is written right to left.
+ * @return {boolean} True for right to left languages, like Arabic.
+ */
+export function isRtl() {
+  return RTL_LANGUAGES.includes(language);
+}
+
+/**
+ * Returns the best available language for a BCP 47 language tag, ignoring
+ * the region.
+ * @param {?string} tag The language tag, e.g. "de-CH".
+ * @return {?string} The available language, e.g. "de", or null if there is
+ *                   none.
+ */
+function _available(tag) {
+  const code = tag ? tag.split('-')[0].toLowerCase() : null;
+  return getLanguages().includes(code) ? code : null;
+}
+
+/**
+ * Loads the catalog for a language, and uses it for all messages from then
+ * on. Also sets the language and text direction of the document.
+ * @param {?string} requested The language code, or null to pick the best
+ *                            match for the browser's preferences.
+ * @return {Promise.<string>} Promise with the language now in use.
+ */
+export function setLanguage(requested) {
+  const preferred = requested ? [requested] :
+    navigator.languages || [navigator.language];
+  const code = preferred.map(_available).find((available) => available) ||
+    'en';
+  const load = code === 'en' ? Promise.resolve(en) :
+    fetchJson(CATALOGS[code], 'Error loading translations.');
+
+  return load.then((messages) => {
+    language = code;
+    catalog = messages;
+    parsed = new Map();
+    pluralRules = null;
+    displayNames = new Map();
+    document.documentElement.lang = code;
+    document.documentElement.dir = isRtl() ? 'rtl' : 'ltr';
+    return code;
+  });
+}
+
+/**
+ * Parses a message in a subset of the ICU message format: "{name}"
+ * arguments, "{count, plural, one {...} other {...}}" with "#" for the count,
+ * and "{gender, select, female {...} other {...}}". Apostrophes are literal.
+ * @param {string} text The message.
+ * @param {number} index Where to start parsing.
+ * @param {boolean} inPlural Whether "#" stands for a plural count.
+ * @return {{parts: Array, end: number}} The parsed parts, each a string or an
+ *     object for an argument, and the index where parsing stopped.
+ */
+function _parse(text, index = 0, inPlural = false) {
+  const parts = [];
+  let literal = '';
+  const flush = () => {
+    if (literal) {
+      parts.push(literal);
+      literal = '';
+    }
+  };
+
+  while (index < text.length && text[index] !== '}') {
+    const char = text[index];
+
+    if (char === '#' && inPlural) {
+      flush();
+      parts.push({type: 'count'});
+      index++;
+    } else if (char !== '{') {
+      literal += char;
+      index++;
+    } else {
+      flush();
+      const nameEnd = text.slice(index).search(/[,}]/) + index;
+      const name = text.slice(index + 1, nameEnd).trim();
+
+      if (text[nameEnd] === '}') {
+        parts.push({type: 'argument', name});
+        index = nameEnd + 1;
+        continue;
+      }
+
+      const typeEnd = text.indexOf(',', nameEnd + 1);
+      const type = text.slice(nameEnd + 1, typeEnd).trim();
+      const options = {};
+      index = typeEnd + 1;
+
+      // Each option is a key followed by a sub-message in braces.
+      while (index < text.length) {
+        const optionStart = text.slice(index).search(/\S/) + index;
+        if (text[optionStart] === '}') {
+          index = optionStart + 1;
+          break;
+        }
+        const open = text.indexOf('{', optionStart);
+        const option = _parse(text, open + 1, inPlural || type === 'plural');
+        options[text.slice(optionStart, open).trim()] = option.parts;
+        index = option.end + 1;
+      }
+      parts.push({type, name, options});
+    }
+  }
+  flush();
+
+  return {parts, end: index};
+}
+
+/**
+ * Fills in the arguments of a parsed message.
+ * @param {Array} parts The parsed message parts.
+ * @param {Object} args The arguments, keyed by name.
+ * @param {?number} count The count for "#", inside plural messages.
+ * @return {Array.<string|Node>} The pieces of the message, which are nodes
+ *                               where the arguments were nodes.
+ */
+function _render(parts, args, count = null) {
+  return parts.reduce((pieces, part) => {
+    if (typeof part === 'string') {
+      return pieces.concat(part);
+    }
+
+    const value = args[part.name];
+    switch (part.type) {
+      case 'count':
+        return pieces.concat(new Intl.NumberFormat(language).format(count));
+      case 'argument':
+        return pieces.concat(value === undefined || value === null ?
+          '' : value);
+      case 'plural': {
+        if (!pluralRules) {
+          pluralRules = new Intl.PluralRules(language);
+        }
+        const option = part.options[`=${value}`] ||
+          part.options[pluralRules.select(value)] || part.options.other;
+        return pieces.concat(_render(option, args, value));
+      }
+      case 'select':
+        return pieces.concat(_render(
+          part.options[value] || part.options.other, args, count));
+      default:
+        throw new Error(`Unknown message argument type: ${part.type}.`);
+    }
+  }, []);
+}
+
+/**
+ * Returns the parsed message for a key, from the current catalog or else
+ * from the English one.
+ * @param {string} key The message key, e.g. "menu.settings".
+ * @return {Array} The parsed message parts.
+ */
+function _message(key) {
+  if (!parsed.has(key)) {
+    const text = key in catalog ? catalog[key] : en[key];
+    if (text === undefined) {
+      console.warn(`Missing message: ${key}.`);
+    }
+    parsed.set(key, _parse(text === undefined ? key : text).parts);
+  }
+  return parsed.get(key);
+}
+
+/**
+ * Returns a translated message.
+ * @param {string} key The message key, e.g. "menu.settings".
+ * @param {Object} args The arguments for the message, keyed by name.
+ * @return {string} The message in the current language.
+ */
+export function t(key, args = {}) {
+  return _render(_message(key), args).join('');
+}
+
+/**
+ * Returns the localized name of a currency.
+ * @param {string} code The 3-letter currency code.
+ * @param {string} fallback The name to use if the browser doesn't know it.
+ * @return {string} The name of the currency in the current language.
+ */
+export function currencyName(code, fallback) {
+  return _displayName('currency', code, fallback);
+}
+
+/**
+ * Returns the localized name of a country.
+ * @param {string} code The 2-letter country code.
+ * @param {string} fallback The name to use if the browser doesn't know it.
+ * @return {string} The name of the country in the current language.
+ */
+export function countryName(code, fallback) {
+  return _displayName('region', code, fallback);
+}
+
+/**
+ * Returns a localized name from Intl.DisplayNames, where available.
+ * @param {string} type The type of name, e.g. "currency" or "region".
+ * @param {string} code The code to name.
+ * @param {string} fallback The name to use if the browser doesn't know it.
+ * @return {string} The name in the current language.
+ */
+function _displayName(type, code, fallback) {
+  // English names come from our own data, which reads better in places.
+  if (language === 'en') {
+    return fallback;
+  }
+  if (!displayNames.has(type)) {
+    try {
+      displayNames.set(type,
+        new Intl.DisplayNames([language], {type, fallback: 'none'}));
+    } catch (e) {
+      displayNames.set(type, null);
+    }
+  }
+
+  const names = displayNames.get(type);
+  return (names && names.of(code)) || fallback;
+}
+
+/**
+ * Translates the static text in the page, in elements marked with
+ * data-mm-i18n message keys. Child elements marked with data-mm-i18n-arg are
+ * kept, and placed where the message has arguments of that name. Other
+ * arguments can be given as JSON in data-mm-i18n-args.
+ * Attributes are translated with data-mm-i18n-placeholder, -title, -alt and
+ * -aria-label.
+ * @param {Element|Document} root The part of the page to translate.
+ */
+export function translatePage(root = document) {
+  // Translate nested messages first, as their elements are kept.
+  const elements = Array.from(root.querySelectorAll('[data-mm-i18n]'))
+    .reverse();
+
+  for (let element of elements) {
+    const args = JSON.parse(element.dataset.mmI18nArgs || '{}');
+    element.querySelectorAll('[data-mm-i18n-arg]').forEach((arg) => {
+      if (arg.parentElement.closest('[data-mm-i18n]') === element) {
+        args[arg.dataset.mmI18nArg] = arg;
+      }
+    });
+
+    const pieces = _render(_message(element.dataset.mmI18n), args);
+    while (element.firstChild) {
+      element.removeChild(element.firstChild);
+    }
+    pieces.forEach((piece) => element.appendChild(
+      typeof piece === 'string' ? document.createTextNode(piece) : piece));
+  }
+
+  for (let attribute of ['placeholder', 'title', 'alt', 'aria-label']) {
+    const data = `data-mm-i18n-${attribute}`;
+    root.querySelectorAll(`[${data}]`).forEach((element) =>
+      element.setAttribute(attribute, t(element.getAttribute(data))));
+  }
+}
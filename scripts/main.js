@@ -19,10 +19,23 @@ import noPullToRefresh from './no-pull-to-refresh';
 
 import AnimationHelper from './animation-helper';
 import ModelEntry from './model';
+import Decimal from './decimal';
+import RateTable, {
+  RateUnavailableError,
+  findOverride,
+  overrideRate,
+} from './rates';
+import drawSparkline from './sparkline';
 
 import * as PromiseUtils from './promise-utils';
 import * as Geo from './geo.js';
 import * as Db from './db.js';
+import * as Format from './format.js';
+import * as Expression from './expression.js';
+import * as Fees from './fees.js';
+import * as Providers from './providers.js';
+import * as Conversions from './conversions.js';
+import * as I18n from './i18n.js';
 
 import {
   MDCMenu,
@@ -43,21 +56,32 @@ const FONT_TIMEOUT = 300;
 
 const EXTRA_STYLES = 'styles/styles.min.css';
 
-/**
- * Formats a currency for display.
- * @param {number} value The value to format.
- * @return {string} The formatted value.
- */
-function _formatCurrency(value) {
-  const whole = Math.floor(Number(value));
-  const decimal = Math.abs(Math.round((Number(value) % 1) * 100));
-  const marker = (1.1).toLocaleString().charAt(1);
+const DEFAULT_HISTORY_DAYS = 90;
 
-  if (decimal < 10) {
-    return `${whole.toLocaleString()}${marker}0${decimal.toString()}`;
-  }
-  return `${whole.toLocaleString()}${marker}${decimal.toString()}`;
-}
+// Keep in sync with the service worker.
+const DEFAULT_REFRESH_HOURS = 12;
+
+// How many recently used currencies to offer in the selection screen.
+const MAX_RECENT_CURRENCIES = 5;
+
+// How long to rely on the last known country when the location can't be
+// determined. Countries set by hand last longer, as they're set for a trip.
+const COUNTRY_EXPIRY_HOURS = 12;
+const MANUAL_COUNTRY_EXPIRY_DAYS = 7;
+
+// Common values shown until the user changes them.
+const DEFAULT_COMMON_VALUES = [1, 20, 50];
+
+// Common values used to be stored under these fixed keys.
+const LEGACY_COMMON_KEYS = ['common.first', 'common.second', 'common.third'];
+
+// How long an amount has to stay unchanged to be kept in the conversion
+// history, so that every keystroke isn't.
+const CONVERSION_SETTLE_MS = 3000;
+
+// How often to look for expired custom rates at most. Timers can't wait much
+// longer than 24 days, and custom rates can last a month.
+const CUSTOM_EXPIRY_CHECK_MS = 24 * 60 * 60 * 1000;
 
 /**
  * The main class for the application.
@@ -79,6 +103,9 @@ class App {
     // Will hold view classes once they load.
     this._viewClasses = {};
 
+    // Rate tables for each rates payload, built as needed.
+    this._rateTables = new WeakMap();
+
     // Screen element references.
     this._screens = {
       animation: document.querySelector('.mm-animation'),
@@ -86,6 +113,9 @@ class App {
       select: document.querySelector('.mm-select'),
       loading: document.querySelector('.mm-loading'),
       settings: document.querySelector('.mm-settings'),
+      board: document.querySelector('.mm-board'),
+      history: document.querySelector('.mm-history'),
+      trips: document.querySelector('.mm-trips'),
     };
 
     this._model = {
@@ -106,30 +136,71 @@ class App {
         symbol: new ModelEntry('travel.symbol'),
       },
       common: {
-        first: {
-          home: new ModelEntry('common.first.home'),
-          travel: new ModelEntry('common.first.travel'),
-        },
-        second: {
-          home: new ModelEntry('common.second.home'),
-          travel: new ModelEntry('common.second.travel'),
-        },
-        third: {
-          home: new ModelEntry('common.third.home'),
-          travel: new ModelEntry('common.third.travel'),
-        },
+        values: new ModelEntry( /* Not bindable */ ),
+        rows: new ModelEntry( /* Not bindable */ ),
+        denominations: new ModelEntry( /* Not bindable */ ),
+      },
+      board: {
+        metaText: 'base',
+        amount: new ModelEntry('board.amount'),
+        code: new ModelEntry('board.code'),
+        name: new ModelEntry('board.name'),
+        symbol: new ModelEntry('board.symbol'),
+        codes: new ModelEntry( /* Not bindable */ ),
+      },
+      fees: {
+        profiles: new ModelEntry( /* Not bindable */ ),
+        active: new ModelEntry( /* Not bindable */ ),
+        name: new ModelEntry('fees.name'),
+        home: new ModelEntry('fees.home'),
+      },
+      custom: {
+        overrides: new ModelEntry( /* Not bindable */ ),
+        active: new ModelEntry( /* Not bindable */ ),
+        description: new ModelEntry('custom.description'),
+      },
+      alerts: new ModelEntry( /* Not bindable */ ),
+      conversions: new ModelEntry( /* Not bindable */ ),
+      trips: new ModelEntry( /* Not bindable */ ),
+      select: {
+        recent: new ModelEntry( /* Not bindable */ ),
+        favourites: new ModelEntry( /* Not bindable */ ),
       },
       currencies: new ModelEntry( /* Not bindable */ ),
+      denominations: new ModelEntry( /* Not bindable */ ),
+      language: new ModelEntry( /* Not bindable */ ),
       rates: {
         date: new ModelEntry('rates.date'),
         relative: new ModelEntry('rates.relative'),
         message: new ModelEntry('rates.message'),
+        asOf: new ModelEntry( /* Not bindable */ ),
+        unavailable: new ModelEntry('rates.unavailable'),
+        source: new ModelEntry('rates.source'),
+      },
+      trend: {
+        period: new ModelEntry('trend.period'),
+        min: new ModelEntry('trend.min'),
+        max: new ModelEntry('trend.max'),
+        average: new ModelEntry('trend.average'),
+        points: new ModelEntry( /* Not bindable */ ),
       },
       geo: {
         enabled: new ModelEntry('geo.enabled'),
+        refine: new ModelEntry('geo.refine'),
+        watch: new ModelEntry('geo.watch'),
+        country: new ModelEntry( /* Not bindable */ ),
+        countryDescription: new ModelEntry('geo.countryDescription'),
       },
       settings: {
         notify: new ModelEntry('settings.notify'),
+        locale: new ModelEntry('settings.locale'),
+        language: new ModelEntry('settings.language'),
+        narrowSymbols: new ModelEntry('settings.narrowSymbols'),
+        denominations: new ModelEntry('settings.denominations'),
+        logConversions: new ModelEntry('settings.logConversions'),
+        historyDays: new ModelEntry('settings.historyDays'),
+        refreshHours: new ModelEntry('settings.refreshHours'),
+        provider: new ModelEntry( /* Not bindable */ ),
       },
     };
 
@@ -149,14 +220,19 @@ class App {
       backButton: document.querySelector('.mm-toolbar__back-button'),
     };
 
-    // Load currency list.
-    this._fetchCurrencies()
+    // Let the service worker notify in the language the app is shown in.
+    this._model.language.listen((language) =>
+      Db.saveToStore('i18n.language', language));
+
+    // Load currency list, and translations for the chosen language.
+    Promise.all([this._fetchCurrencies(), this._loadLanguage()])
       // Initialize model.
       .then(() => this._initModel())
       // Choose default currencies.
       .then(() => this._loadCurrency('home').catch(() => {
-        // Loading failed, choose a default
+        // Loading failed, choose a default, and suggest a better one later.
         this._model.home.code.value = 'USD';
+        this._firstRun = true;
       }))
       .then(() => this._loadCurrency('travel').catch(() => {
         // Loading failed, choose a default.
@@ -177,17 +253,38 @@ class App {
     const {
       home,
       travel,
+      board,
       common,
+      custom,
+      fees,
+      geo,
+      rates,
+      settings,
     } = this._model;
 
+    // Work out what will really be paid for the card amounts, with fees.
+    const updateFee = () => {
+      const profile = this._activeFeeProfile();
+      const from = home.computedAmount.value === null ? home : travel;
+      const amount = from.amount.value;
+      const mid = profile && this._rates && (amount || amount === 0) ?
+        this._convertValue(amount, from.code.value, home.code.value) : null;
+
+      fees.home.value = mid === null ? '' : Format.formatCurrency(
+        Fees.applyFee(mid, profile, this._minorUnits(home.code.value)),
+        home.code.value, this._minorUnits(home.code.value));
+    };
+
     const convertInModel = (from, to) => {
       const amount = from.amount.value;
 
       if (this._rates && (amount || amount === 0)) {
         from.computedAmount.value = null;
-        to.computedAmount.value = _formatCurrency(
-          this._convertValue(amount, from.code.value, to.code.value));
+        to.computedAmount.value = Format.formatAmount(
+          this._convertValue(amount, from.code.value, to.code.value),
+          this._minorUnits(to.code.value));
       }
+      updateFee();
     };
 
     // Update computed values when value changes.
@@ -195,14 +292,15 @@ class App {
     travel.amount.listen(() => convertInModel(travel, home));
 
     // Update currency details when currency code changes.
-    home.code.listen((code) => {
-      home.name.value = this._model.currencies.value.get(code).name;
-      home.symbol.value = this._model.currencies.value.get(code).symbol;
-    });
-    travel.code.listen((code) => {
-      travel.name.value = this._model.currencies.value.get(code).name;
-      travel.symbol.value = this._model.currencies.value.get(code).symbol;
-    });
+    const updateDetails = (currency) => {
+      const code = currency.code.value;
+      const details = this._model.currencies.value.get(code);
+      currency.name.value = I18n.currencyName(code, details.name);
+      currency.symbol.value = details.symbol;
+    };
+    for (let currency of [home, travel, board]) {
+      currency.code.listen(() => updateDetails(currency));
+    }
 
     const convertComputed = () => {
       if (home.computedAmount.value !== null) {
@@ -213,11 +311,36 @@ class App {
     };
 
     const convertCommon = () => {
-      for (let row of ['first', 'second', 'third']) {
-        if (this._rates) {
-          common[row].travel.value = _formatCurrency(this._convertValue(
-            common[row].home.value, home.code.value, travel.code.value));
-        }
+      const profile = this._activeFeeProfile();
+      const homeUnits = this._minorUnits(home.code.value);
+      const travelUnits = this._minorUnits(travel.code.value);
+      const row = (homeValue, travelValue) => ({
+        home: homeValue === null ? '' :
+          Format.formatCurrency(homeValue, home.code.value, homeUnits),
+        travel: travelValue === null ? '' :
+          Format.formatCurrency(travelValue, travel.code.value, travelUnits),
+        fee: profile && homeValue !== null ? Format.formatCurrency(
+          Fees.applyFee(homeValue, profile, homeUnits),
+          home.code.value, homeUnits) : '',
+      });
+
+      // List the travel currency's notes and coins when asked to, if we know
+      // them, and the user's own home amounts otherwise.
+      const denominations = settings.denominations.value &&
+        (this._model.denominations.value || {})[travel.code.value];
+      common.denominations.value = Boolean(denominations);
+
+      if (denominations) {
+        const values = Array.from(
+          new Set(denominations.coins.concat(denominations.notes)))
+          .sort((a, b) => a - b);
+        common.rows.value = values.map((value) => row(this._rates ?
+          this._convertValue(value, travel.code.value, home.code.value) :
+          null, value));
+      } else {
+        common.rows.value = (common.values.value || []).map((value) =>
+          row(value, this._rates ? this._convertValue(value, home.code.value,
+            travel.code.value) : null));
       }
     };
 
@@ -225,21 +348,156 @@ class App {
     home.code.listen(() => {
       convertComputed();
       convertCommon();
+      this._updateTrend();
     });
     travel.code.listen(() => {
       convertComputed();
       convertCommon();
+      this._updateTrend();
     });
 
-    // Update common values when each of them changes.
-    for (let row of ['first', 'second', 'third']) {
-      common[row].home.listen((val) => {
-        if (this._rates) {
-          common[row].travel.value = _formatCurrency(this._convertValue(
-            common[row].home.value, home.code.value, travel.code.value));
+    // Update common values when they are edited, or swapped for notes and
+    // coins.
+    common.values.listen(convertCommon);
+    settings.denominations.listen(convertCommon);
+    this._model.denominations.listen(convertCommon);
+
+    // Reformat everything when formatting preferences change.
+    settings.locale.listen((locale) => {
+      Format.setLocale(locale);
+      convertComputed();
+      convertCommon();
+      this._updateTrend();
+    });
+    settings.narrowSymbols.listen((narrow) => {
+      Format.setNarrowSymbols(narrow);
+      updateFee();
+      convertCommon();
+    });
+
+    // Update fee amounts when the fee profiles change.
+    const updateFeeProfile = () => {
+      const profile = this._activeFeeProfile();
+      fees.name.value = profile ? profile.name : '';
+      updateFee();
+      convertCommon();
+    };
+    fees.profiles.listen(updateFeeProfile);
+    fees.active.listen(updateFeeProfile);
+
+    // Flag when there's no rate for the current pair.
+    const updateAvailability = () => {
+      const available = !this._rates || this._customRate(travel.code.value,
+        home.code.value) !== null || this._getRate(travel.code.value,
+        home.code.value, this._activeRates()) !== null;
+
+      rates.unavailable.value = available ? '' : I18n.t('rates.unavailable',
+        {from: travel.code.value, to: home.code.value});
+    };
+    home.code.listen(updateAvailability);
+    travel.code.listen(updateAvailability);
+    rates.date.listen(updateAvailability);
+    custom.overrides.listen(updateAvailability);
+
+    // Describe the custom rate for the current pair, if there is one.
+    const updateCustom = () => {
+      const rate = rates.asOf.value ? null :
+        this._customRate(travel.code.value, home.code.value);
+      const override = this._customOverride(travel.code.value,
+        home.code.value);
+
+      custom.active.value = rate !== null;
+      if (rate === null) {
+        custom.description.value = '';
+        return;
+      }
+      custom.description.value = I18n.t(
+        override.expires ? 'custom.rateUntil' : 'custom.rate', {
+          from: travel.code.value,
+          to: home.code.value,
+          rate: Format.formatRate(rate),
+          date: new Date(override.expires).toLocaleDateString(),
+        });
+    };
+
+    // Convert everything again with the rates for the chosen date.
+    rates.asOf.listen(() => {
+      this._updateRateInfo();
+      convertComputed();
+      convertCommon();
+      updateCustom();
+    });
+
+    // Use the chosen rate provider.
+    const updateSource = () => {
+      rates.source.value = this._provider.source ?
+        `${this._provider.name} (${this._provider.source})` :
+        this._provider.name;
+    };
+    settings.provider.listen((config) => {
+      this._provider = Providers.createProvider(config);
+      updateSource();
+    });
+
+    // Convert everything again with the custom rates.
+    custom.overrides.listen(() => {
+      convertComputed();
+      convertCommon();
+      updateCustom();
+      this._scheduleCustomRateExpiry();
+    });
+    home.code.listen(updateCustom);
+    travel.code.listen(updateCustom);
+    settings.locale.listen(updateCustom);
+
+    // Describe where the user was last known to be.
+    const updateCountryDescription = () => {
+      const country = geo.country.value;
+      geo.countryDescription.value = country ?
+        I18n.t(country.manual ? 'geo.setByYou' : 'geo.detected', {
+          country: I18n.countryName(country.countryCode, country.countryName),
+          time: new Date(country.time).toLocaleString(),
+        }) : I18n.t('geo.unknown');
+    };
+    geo.country.listen(updateCountryDescription);
+
+    // Show everything again in the new language.
+    this._model.language.listen(() => {
+      for (let currency of [home, travel, board]) {
+        if (currency.code.value) {
+          updateDetails(currency);
         }
+      }
+      updateAvailability();
+      updateCustom();
+      updateCountryDescription();
+      if (this._provider) {
+        updateSource();
+      }
+      this._updateRateInfo();
+      this._updateTrend();
+    });
+  }
+
+  /**
+   * Returns a promise for loading the translations for the language chosen
+   * in the settings, or the browser's language by default, and translating
+   * the page with them. Falls back to English if they can't be loaded.
+   *
+   * @return {Promise.<string>} Promise with the language in use.
+   */
+  _loadLanguage() {
+    return Db.loadFromStore('settings.language')
+      .catch(() => null)
+      .then((language) => {
+        this._model.settings.language.value = language;
+        return I18n.setLanguage(language).catch(() => I18n.getLanguage());
+      })
+      .then((language) => {
+        I18n.translatePage();
+        this._model.language.value = language;
+        return language;
       });
-    }
   }
 
   /**
@@ -252,43 +510,200 @@ class App {
     this._screens.convert.classList.add('mm-convert--has-currencies');
 
     // Load last travel currency.
-    Db.loadFromStore('last-travel')
+    const lastTravelPromise = Db.loadFromStore('last-travel')
       .then((value) => (this._lastTravel = value))
       .catch(() => (this._lastTravel = null));
 
     // Prepare settings model listeners.
     this._model.geo.enabled.listen((value) =>
       Db.saveToStore('geo.enabled', value));
+    this._model.geo.refine.listen((value) =>
+      Db.saveToStore('geo.refine', value));
+    this._model.geo.watch.listen((value) =>
+      Db.saveToStore('geo.watch', value));
+    this._model.geo.country.listen((value) =>
+      Db.saveToStore('geo.country', value));
     this._model.settings.notify.listen((value) =>
       Db.saveToStore('settings.notify', value));
+    this._model.settings.locale.listen((value) =>
+      Db.saveToStore('settings.locale', value));
+    this._model.settings.narrowSymbols.listen((value) =>
+      Db.saveToStore('settings.narrowSymbols', value));
+    this._model.settings.denominations.listen((value) =>
+      Db.saveToStore('settings.denominations', value));
+    this._model.settings.logConversions.listen((value) =>
+      Db.saveToStore('settings.logConversions', value));
+    this._model.settings.language.listen((value) => {
+      Db.saveToStore('settings.language', value);
+      I18n.setLanguage(value).then((language) => {
+        I18n.translatePage();
+        this._model.language.value = language;
+      }, (error) => this._snackbar.show({
+        message: error.message,
+        timeout: 8000,
+        multiline: true,
+      }));
+    });
+    this._model.fees.profiles.listen((value) =>
+      Db.saveToStore('fees.profiles', value));
+    this._model.fees.active.listen((value) =>
+      Db.saveToStore('fees.active', value));
+    this._model.custom.overrides.listen((value) =>
+      Db.saveToStore('rates.overrides', value));
+    this._model.settings.historyDays.listen((value) => {
+      Db.saveToStore('settings.historyDays', value);
+      this._pruneHistory();
+      this._updateTrend();
+    });
 
     // Load settings.
-    const notifySettingsPromise = Db.loadFromStore('settings.notify')
+    Db.loadFromStore('settings.notify')
       .then((enabled) => (this._model.settings.notify.value = enabled))
       .catch(() => (this._model.settings.notify.value = false));
-    const geoSettingsPromise = Db.loadFromStore('geo.enabled')
-      .then((enabled) => (this._model.geo.enabled.value = enabled))
-      .catch(() => (this._model.geo.enabled.value = false));
+    const formatSettingsPromise = Promise.all([
+      Db.loadFromStore('settings.locale')
+        .then((locale) => (this._model.settings.locale.value = locale))
+        .catch(() => (this._model.settings.locale.value = null)),
+      Db.loadFromStore('settings.narrowSymbols')
+        .then((narrow) => (this._model.settings.narrowSymbols.value = narrow))
+        .catch(() => (this._model.settings.narrowSymbols.value = true)),
+    ]);
+    const feeSettingsPromise = Db.loadFromStore('fees.profiles')
+      .then((profiles) => (this._model.fees.profiles.value = profiles))
+      .catch(() =>
+        (this._model.fees.profiles.value = Fees.DEFAULT_PROFILES))
+      .then(() => Db.loadFromStore('fees.active'))
+      .then((active) => (this._model.fees.active.value = active))
+      .catch(() => (this._model.fees.active.value = null));
+    const refreshSettingsPromise = Db.loadFromStore('settings.refreshHours')
+      .then((hours) => (this._model.settings.refreshHours.value = hours))
+      .catch(() =>
+        (this._model.settings.refreshHours.value = DEFAULT_REFRESH_HOURS));
+    // Load custom rates, dropping the expired ones.
+    Db.loadFromStore('rates.overrides')
+      .catch(() => ({}))
+      .then((overrides) => (this._model.custom.overrides.value =
+        this._unexpiredOverrides(overrides || {})));
+    const alertsPromise = Db.loadAllFromObjectStore('alerts')
+      .then((entries) =>
+        (this._model.alerts.value = entries.map((entry) => entry.value)))
+      .catch(() => (this._model.alerts.value = []));
+    Db.loadFromStore('settings.logConversions')
+      .then((enabled) => (this._model.settings.logConversions.value = enabled))
+      .catch(() => (this._model.settings.logConversions.value = false));
+    // Ids start with the time, so the newest conversions come last.
+    const conversionsPromise = Db.loadAllFromObjectStore('conversions')
+      .then((entries) => (this._model.conversions.value =
+        entries.map((entry) => entry.value).reverse()))
+      .catch(() => (this._model.conversions.value = []));
+    const tripsPromise = Db.loadAllFromObjectStore('trips')
+      .then((entries) => (this._model.trips.value =
+        entries.map((entry) => entry.value)))
+      .catch(() => (this._model.trips.value = []));
+    const selectSettingsPromise = Promise.all([
+      Db.loadFromStore('select.recent')
+        .then((codes) => (this._model.select.recent.value = codes))
+        .catch(() => (this._model.select.recent.value = [])),
+      Db.loadFromStore('select.favourites')
+        .then((codes) => (this._model.select.favourites.value = codes))
+        .catch(() => (this._model.select.favourites.value = [])),
+    ]);
+    const geoSettingsPromise = Promise.all([
+      Db.loadFromStore('geo.choices')
+        .then((choices) => (this._countryChoices = choices))
+        .catch(() => (this._countryChoices = {})),
+      Db.loadFromStore('geo.refine')
+        .then((refine) => (this._model.geo.refine.value = refine))
+        .catch(() => (this._model.geo.refine.value = false)),
+      Db.loadFromStore('geo.watch')
+        .then((watch) => (this._model.geo.watch.value = watch))
+        .catch(() => (this._model.geo.watch.value = false)),
+      Db.loadFromStore('geo.country')
+        .then((country) => (this._model.geo.country.value = country))
+        .catch(() => (this._model.geo.country.value = null)),
+      Db.loadFromStore('geo.enabled')
+        .then((enabled) => (this._model.geo.enabled.value = enabled))
+        .catch(() => (this._model.geo.enabled.value = false)),
+    ]);
 
-    notifySettingsPromise.then(() => {
-      this._model.settings.notify.listen((value) => {
-        if (value) {
-          Notification.requestPermission().then((result) => {
-            if (result === 'denied') {
-              this._model.settings.notify.value = false;
-              this._snackbar.show({
-                message: 'Cannot enable notifications because the ' +
-                  'notifications permission has been disabled in the browser ' +
-                  'settings. Please re-enable and try again.',
-                timeout: 10000,
-                multiline: true,
-              });
-            }
-          });
-        }
+    refreshSettingsPromise.then(() => {
+      this._model.settings.refreshHours.listen((value) => {
+        // Let the service worker pick up the new cadence once it's stored.
+        Db.saveToStore('settings.refreshHours', value).then(() => {
+          if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.ready.then((registration) =>
+              registration.active.postMessage({action: 'refresh-settings'}));
+          }
+        });
+      });
+    });
+
+    conversionsPromise.then(() => {
+      let saved = this._model.conversions.value;
+      this._model.conversions.listen((conversions) => {
+        // Only write what changed, as the history can get long.
+        conversions.filter((conversion) => !saved.includes(conversion))
+          .forEach((conversion) =>
+            Db.saveToObjectStore('conversions', conversion.id, conversion));
+        saved.filter((conversion) =>
+          !conversions.some((existing) => existing.id === conversion.id))
+          .forEach((conversion) =>
+            Db.deleteFromObjectStore('conversions', conversion.id));
+        saved = conversions;
+      });
+    });
+
+    tripsPromise.then(() => {
+      let saved = this._model.trips.value;
+      this._model.trips.listen((trips) => {
+        // Trips are replaced rather than changed, so only write new ones.
+        trips.filter((trip) => !saved.includes(trip))
+          .forEach((trip) => Db.saveToObjectStore('trips', trip.id, trip));
+        saved.filter((trip) =>
+          !trips.some((existing) => existing.id === trip.id))
+          .forEach((trip) => Db.deleteFromObjectStore('trips', trip.id));
+        saved = trips;
       });
     });
 
+    alertsPromise.then(() => {
+      let saved = this._model.alerts.value;
+      this._model.alerts.listen((alerts) => {
+        // Only write what changed, so as not to overwrite whether an alert was
+        // triggered, which the service worker keeps track of.
+        alerts.filter((alert) => !saved.includes(alert))
+          .forEach((alert) => Db.saveToObjectStore('alerts', alert.id, alert));
+        saved.filter((alert) =>
+          !alerts.some((existing) => existing.id === alert.id))
+          .forEach((alert) => Db.deleteFromObjectStore('alerts', alert.id));
+        saved = alerts;
+      });
+    });
+
+    selectSettingsPromise.then(() => {
+      const {recent, favourites} = this._model.select;
+      recent.listen((codes) => Db.saveToStore('select.recent', codes));
+      favourites.listen((codes) => Db.saveToStore('select.favourites', codes));
+
+      // Keep track of the most recently used currencies, newest first. The
+      // one being replaced was in use until now, so it counts too.
+      const trackRecent = (currency) => {
+        let previous = currency.code.value;
+        currency.code.listen((code) => {
+          if (code === previous) {
+            return;
+          }
+          const used = [code, previous];
+          recent.value = used.concat(recent.value.filter(
+            (existing) => !used.includes(existing)))
+            .slice(0, MAX_RECENT_CURRENCIES);
+          previous = code;
+        });
+      };
+      trackRecent(this._model.home);
+      trackRecent(this._model.travel);
+    });
+
     geoSettingsPromise.then(() => {
       // Make initial geo request if the option is on.
       if (this._model.geo.enabled.value) {
@@ -297,8 +712,7 @@ class App {
             error.inner.code === 1) {
             this._model.geo.enabled.value = false;
             this._snackbar.show({
-              message: 'Cannot retrieve location because location access has ' +
-                'been disabled in the browser.',
+              message: I18n.t('geo.denied'),
               timeout: 8000,
               multiline: true,
             });
@@ -314,9 +728,7 @@ class App {
               error.inner.code === 1) {
               this._model.geo.enabled.value = false;
               this._snackbar.show({
-                message: 'Cannot enable travel currency suggestion because ' +
-                  'location access has been disabled in the browser ' +
-                  'settings. Please re-enable and try again.',
+                message: I18n.t('geo.deniedEnable'),
                 timeout: 10000,
                 multiline: true,
               });
@@ -324,8 +736,28 @@ class App {
           });
         }
       });
+
+      // Keep watching for border crossings while the app is open, if asked.
+      this._updateWatch();
+      this._model.geo.enabled.listen(() => this._updateWatch());
+      this._model.geo.watch.listen(() => this._updateWatch());
+      document.addEventListener('visibilitychange',
+        () => this._updateWatch());
     });
 
+    // Load the rate provider before fetching any rates.
+    this._providerPromise = Db.loadFromStore('settings.provider')
+      .catch(() => Providers.DEFAULT_PROVIDER)
+      .then((config) => (this._model.settings.provider.value = config))
+      .then(() => this._model.settings.provider.listen((config) => {
+        Db.saveToStore('settings.provider', config);
+        this._fetchRates(true).catch((error) => this._snackbar.show({
+          message: error.message,
+          timeout: 8000,
+          multiline: true,
+        }));
+      }));
+
     // Load rates from local storage, if available.
     const loadRates = this._loadRates()
       .then((rates) => rates, () => this._fetchRates());
@@ -334,6 +766,13 @@ class App {
     PromiseUtils.after(loadRates, () =>
       this._fetchRates().catch(() => this._scheduleRateFetch()));
 
+    // Load rate history, once we know how much of it to keep.
+    Db.loadFromStore('settings.historyDays')
+      .then((days) => (this._model.settings.historyDays.value = days))
+      .catch(() =>
+        (this._model.settings.historyDays.value = DEFAULT_HISTORY_DAYS))
+      .then(() => PromiseUtils.after(loadRates, () => this._loadHistory()));
+
     const loadExtraCSS = loadAndInjectStyles(EXTRA_STYLES);
     loadExtraCSS.then(() => console.log('Styles loaded!'));
 
@@ -364,29 +803,40 @@ class App {
       this._screens.convert.classList.remove('mm-screen--hidden')));
 
     // Load common values, and provide defaults if things fail.
-    const loadCommonValues = Promise.all([
-      this._loadCommon('first').catch((err) => {
-        this._model.common.first.home.value = 1;
-      }),
-      this._loadCommon('second').catch((err) => {
-        this._model.common.second.home.value = 20;
-      }),
-      this._loadCommon('third').catch((err) => {
-        this._model.common.third.home.value = 50;
-      }),
-    ]);
+    const loadCommonValues = this._loadCommon().catch((err) => {
+      this._model.common.values.value = DEFAULT_COMMON_VALUES;
+    });
+    Db.loadFromStore('settings.denominations')
+      .then((enabled) => (this._model.settings.denominations.value = enabled))
+      .catch(() => (this._model.settings.denominations.value = false));
+
+    // Notes and coins are optional, so don't hold anything up for them, and
+    // keep to the user's own common values if they can't be loaded.
+    this._fetchDenominations().catch(() => {});
+
+    // Load board currencies, starting from the current pair if there are none.
+    Db.loadFromStore('board.code')
+      .then((code) => (this._model.board.code.value = code))
+      .catch(() =>
+        (this._model.board.code.value = this._model.home.code.value));
+    Db.loadFromStore('board.codes')
+      .then((codes) => (this._model.board.codes.value = codes))
+      .catch(() => (this._model.board.codes.value =
+        [this._model.travel.code.value]));
 
     const loadCountryMappings = this._fetchCountryMappings();
 
     Promise.all([
       loadCommonValues,
       loadRates,
+      formatSettingsPromise,
+      feeSettingsPromise,
     ]).then(() => {
-      const marker = (1.1).toLocaleString().charAt(1);
       // Trigger recalc.
       this._model.home.code.value = this._model.home.code.value;
       this._model.home.amount.value = 1;
-      this._homeBox.placeholder = `1${marker}00`;
+      this._homeBox.placeholder =
+        Format.formatAmount(1, this._minorUnits(this._model.home.code.value));
       // Enable common values.
       this._screens.convert.classList.add('mm-convert--has-common');
       PromiseUtils.wait(200).then(() =>
@@ -398,15 +848,21 @@ class App {
       loadCountryMappings,
       loadCommonValues,
       loadRates,
+      formatSettingsPromise,
+      feeSettingsPromise,
     ]);
 
+    // Suggest currencies based on the device settings, once booted.
+    Promise.all([this._booted, geoSettingsPromise, lastTravelPromise])
+      .then(() => this._suggestCurrencies());
+
     this._booted.then(() => {
       // Set up history handling for back button support.
       if ('history' in window) {
         // Add some state to current history location.
         history.replaceState({
           page: 'convert',
-        }, 'Currency conversion');
+        }, I18n.t('convert.title'));
 
         // Set up event listener for page navigation.
         window.addEventListener('popstate',
@@ -429,6 +885,27 @@ class App {
       .then(() => new this._viewClasses.SettingsView(this, this._model,
         this._screens.settings, this._animationHelper));
 
+    this._boardViewPromise =
+      import('./views/board.js')
+      .then((module) => (this._viewClasses.BoardView = module.BoardView))
+      .then(() => this._booted)
+      .then(() => new this._viewClasses.BoardView(this, this._model,
+        this._screens.board, this._animationHelper, this._selectViewPromise));
+
+    this._historyViewPromise =
+      import('./views/history.js')
+      .then((module) => (this._viewClasses.HistoryView = module.HistoryView))
+      .then(() => this._booted)
+      .then(() => new this._viewClasses.HistoryView(this, this._model,
+        this._screens.history, this._animationHelper));
+
+    this._tripsViewPromise =
+      import('./views/trips.js')
+      .then((module) => (this._viewClasses.TripsView = module.TripsView))
+      .then(() => this._booted)
+      .then(() => new this._viewClasses.TripsView(this, this._model,
+        this._screens.trips, this._animationHelper));
+
     this._booted.then(() => this._hideLoadingScreen());
 
     // MDC-Web component init.
@@ -449,7 +926,34 @@ class App {
         view.show(this._screens.convert);
         history.pushState({
           page: 'settings',
-        }, 'Settings');
+        }, I18n.t('menu.settings'));
+      }));
+
+    // Add event listener to open the currency board screen.
+    document.querySelector('.mm-menu__board').addEventListener('click',
+      () => this._boardViewPromise.then((view) => {
+        view.show(this._screens.convert);
+        history.pushState({
+          page: 'board',
+        }, I18n.t('board.title'));
+      }));
+
+    // Add event listener to open the conversion history screen.
+    document.querySelector('.mm-menu__history').addEventListener('click',
+      () => this._historyViewPromise.then((view) => {
+        view.show(this._screens.convert);
+        history.pushState({
+          page: 'history',
+        }, I18n.t('history.title'));
+      }));
+
+    // Add event listener to open the trips screen.
+    document.querySelector('.mm-menu__trips').addEventListener('click',
+      () => this._tripsViewPromise.then((view) => {
+        view.show(this._screens.convert);
+        history.pushState({
+          page: 'trips',
+        }, I18n.t('trips.title'));
       }));
 
     const ratesDialog =
@@ -502,7 +1006,7 @@ class App {
             page: 'select',
             currency: 'travel',
           },
-          'Select travel currency');
+          I18n.t('select.title', {currency: 'travel'}));
       })
     );
     homeButton.addEventListener('click', () => this._selectViewPromise
@@ -512,7 +1016,7 @@ class App {
             page: 'select',
             currency: 'home',
           },
-          'Select home currency');
+          I18n.t('select.title', {currency: 'home'}));
       })
     );
 
@@ -524,12 +1028,12 @@ class App {
 
     // Set up event listeners for modifying the model.
     this._travelBox.addEventListener('input', () => this._booted.then(() => {
-      this._model.travel.amount.value = parseFloat(this._travelBox.value);
-      this._validateInput('travel');
+      this._model.travel.amount.value = this._validateInput('travel');
+      this._settleConversion('travel');
     }));
     this._homeBox.addEventListener('input', () => this._booted.then(() => {
-      this._model.home.amount.value = parseFloat(this._homeBox.value);
-      this._validateInput('home');
+      this._model.home.amount.value = this._validateInput('home');
+      this._settleConversion('home');
     }));
 
     // Set up model listeners for input boxes.
@@ -540,6 +1044,7 @@ class App {
       if (value !== null) {
         this._homeBox.placeholder = value;
         this._homeBox.value = '';
+        this._homeBlock.querySelector('.mm-convert__preview').textContent = '';
       }
       // If we have a computed value, it's probably because the other box has
       // a value, so let's check if we can clear the placeholder.
@@ -552,6 +1057,8 @@ class App {
       if (value !== null) {
         this._travelBox.value = '';
         this._travelBox.placeholder = value;
+        this._travelBlock.querySelector('.mm-convert__preview').textContent =
+          '';
       }
       // If we have a computed value, it's probably because the other box has
       // a value, so let's check if we can clear the placeholder.
@@ -560,17 +1067,129 @@ class App {
       }
     });
 
+    // Show when a custom rate is in use, and let the user set one.
+    this._model.custom.active.listen((active) =>
+      this._screens.convert.classList.toggle('mm-convert--custom-rate',
+        active));
+    const customRateDialog =
+      new MDCDialog(document.querySelector('#mm-custom-rate-dialog'));
+    const customRateInput = document.querySelector('.mm-custom-rate__value');
+    const customRateExpiry = document.querySelector('.mm-custom-rate__expiry');
+    document.querySelector('.mm-convert__custom-edit').addEventListener(
+      'click', () => {
+        const from = this._model.travel.code.value;
+        const to = this._model.home.code.value;
+        const rate = this._customRate(from, to) ||
+          (this._rates && this._getRate(from, to));
+
+        customRateInput.value =
+          rate ? Number(rate.toNumber().toPrecision(5)) : '';
+        customRateDialog.show();
+      });
+    customRateDialog.listen('MDCDialog:accept', () => {
+      const rate = parseFloat(customRateInput.value);
+      const hours = parseInt(customRateExpiry.value, 10);
+
+      if (!isNaN(rate) && rate > 0) {
+        this._setCustomRate(this._model.travel.code.value,
+          this._model.home.code.value, {
+            rate,
+            expires: hours ? Date.now() + hours * 60 * 60 * 1000 : null,
+          });
+      }
+    });
+    document.querySelector('.mm-custom-rate__clear').addEventListener(
+      'click', () => {
+        this._setCustomRate(this._model.travel.code.value,
+          this._model.home.code.value, null);
+        customRateDialog.close();
+      });
+
+    // Let the user pick between the currencies used in a country.
+    this._countryCurrencyDialog =
+      new MDCDialog(document.querySelector('#mm-country-currency-dialog'));
+    this._countryCurrencyDialog.listen('MDCDialog:accept', () => {
+      const checked = document.querySelector(
+        '.mm-country-currency__options input:checked');
+
+      if (checked) {
+        this._model.travel.code.value = checked.value;
+        this._rememberCountryChoice(this._choosingCountry, checked.value);
+      }
+    });
+
+    // Flag when there's no rate for the current pair.
+    this._model.rates.unavailable.listen((message) =>
+      this._screens.convert.classList.toggle('mm-convert--unavailable',
+        !!message));
+
+    // Convert with past rates when a date is chosen.
+    const asOfInput = document.querySelector('.mm-convert__as-of-input');
+    asOfInput.max = new Date().toISOString().split('T', 1)[0];
+    asOfInput.addEventListener('change', () => {
+      this._model.rates.asOf.value = asOfInput.value || null;
+    });
+    document.querySelector('.mm-convert__as-of-clear').addEventListener(
+      'click', () => (this._model.rates.asOf.value = null));
+    this._model.rates.asOf.listen((date) => {
+      asOfInput.value = date || '';
+      this._screens.convert.classList.toggle('mm-convert--as-of', !!date);
+    });
+
+    // Redraw the rate trend when it changes.
+    const sparkline = document.querySelector('.mm-convert__sparkline');
+    this._model.trend.points.listen((points) => {
+      drawSparkline(sparkline, points);
+      this._screens.convert.classList.toggle('mm-convert--has-trend',
+        points.length > 1);
+    });
+
+    // Show a row for each common value, starting with the travel currency
+    // when listing its notes and coins.
+    const commonTable = document.querySelector('.mm-convert__common-table');
+    const homeHeading = commonTable.querySelector('.mm-convert__common-home');
+    const travelHeading =
+      commonTable.querySelector('.mm-convert__common-travel');
+    this._model.common.rows.listen((rows) => {
+      const denominations = this._model.common.denominations.value;
+      const body = commonTable.tBodies[0];
+
+      if (denominations) {
+        homeHeading.parentNode.insertBefore(travelHeading, homeHeading);
+      } else {
+        homeHeading.parentNode.insertBefore(homeHeading, travelHeading);
+      }
+      while (body.firstChild) {
+        body.removeChild(body.firstChild);
+      }
+      for (const row of rows) {
+        const tr = body.insertRow();
+        tr.insertCell().textContent = denominations ? row.travel : row.home;
+        tr.insertCell().textContent = denominations ? row.home : row.travel;
+        const fee = tr.insertCell();
+        fee.classList.add('mm-convert__fee-cell');
+        fee.textContent = row.fee;
+      }
+      commonTable.hidden = rows.length === 0;
+    });
+
+    // Only show amounts with fees when there is an active fee profile.
+    this._model.fees.name.listen((name) =>
+      this._screens.convert.classList.toggle('mm-convert--has-fee',
+        Boolean(name)));
+
     // Set up storage for currencies.
     this._model.home.code.listen((code) => Db.saveToStore('home', code));
     this._model.travel.code.listen((code) => Db.saveToStore('travel', code));
 
     // Set up storage for common values.
-    this._model.common.first.home.listen((value) =>
-      Db.saveToStore('common.first', value));
-    this._model.common.second.home.listen((value) =>
-      Db.saveToStore('common.second', value));
-    this._model.common.third.home.listen((value) =>
-      Db.saveToStore('common.third', value));
+    this._model.common.values.listen((values) =>
+      Db.saveToStore('common.values', values));
+
+    // Set up storage for the currency board.
+    this._model.board.code.listen((code) => Db.saveToStore('board.code', code));
+    this._model.board.codes.listen((codes) =>
+      Db.saveToStore('board.codes', codes));
   }
 
   /**
@@ -608,56 +1227,358 @@ class App {
           document.querySelector('.mm-screen:not(.mm-screen--disabled)');
         this._animationHelper.fadingAnimation(current, this._screens.convert);
         this.setAppTitle();
+      } else if (event.state.page === 'board') {
+        const current =
+          document.querySelector('.mm-screen:not(.mm-screen--disabled)');
+        if (current !== this._screens.board) {
+          this._animationHelper.fadingAnimation(current, this._screens.board);
+        }
+        this.setAppTitle(this._viewClasses.BoardView.TITLE);
+      } else if (event.state.page === 'history') {
+        const current =
+          document.querySelector('.mm-screen:not(.mm-screen--disabled)');
+        if (current !== this._screens.history) {
+          this._animationHelper.fadingAnimation(current, this._screens.history);
+        }
+        this.setAppTitle(this._viewClasses.HistoryView.TITLE);
+      } else if (event.state.page === 'trips') {
+        const current =
+          document.querySelector('.mm-screen:not(.mm-screen--disabled)');
+        if (current !== this._screens.trips) {
+          this._animationHelper.fadingAnimation(current, this._screens.trips);
+        }
+        this.setAppTitle(this._viewClasses.TripsView.TITLE);
       }
     }
     this.transitioning = false;
   }
 
+  /**
+   * Converts an amount between currencies and formats it for display.
+   * @param {number} value The amount to convert.
+   * @param {string} fromCur The 3-letter code of the currency to convert from.
+   * @param {string} toCur The 3-letter code of the currency to convert to.
+   * @return {?string} The formatted amount, or null if there is no rate for
+   *                    it.
+   */
+  convert(value, fromCur, toCur) {
+    const converted = this._rates ?
+      this._convertValue(value, fromCur, toCur) : null;
+
+    if (converted === null) {
+      return null;
+    }
+    return Format.formatCurrency(converted, toCur, this._minorUnits(toCur));
+  }
+
+  /**
+   * Returns the exchange rate between two currencies on a given date, from
+   * the closest rates in the rate history. Custom rates are left out, as
+   * they are only what's on offer now.
+   * @param {string} fromCur The 3-letter code of the currency to convert from.
+   * @param {string} toCur The 3-letter code of the currency to convert to.
+   * @param {string} date The ISO date, e.g. '2018-06-30'.
+   * @return {?{rate: Decimal, date: string}} The rate, with the date of the
+   *     rates it comes from, or null if a rate is missing.
+   */
+  rateOn(fromCur, toCur, date) {
+    const rates = this._ratesOn(date);
+    const rate = rates ? this._getRate(fromCur, toCur, rates) : null;
+
+    return rate === null ? null : {rate, date: rates.date};
+  }
+
+  /**
+   * Whether there is a rate for a currency, so that it can be converted.
+   * @param {string} code The 3-letter code for the currency.
+   * @param {?string} otherCode The 3-letter code for the currency it is
+   *     converted to or from, if known, so that custom rates count too.
+   * @return {boolean} True if it has a rate, or if there are no rates yet.
+   */
+  isRateAvailable(code, otherCode = null) {
+    if (otherCode && this._customRate(code, otherCode) !== null) {
+      return true;
+    }
+
+    const rates = this._activeRates();
+    return !rates || this._rateTable(rates).isAvailable(code);
+  }
+
+  /**
+   * Returns the mapping from countries to the currencies they use.
+   * @return {Object.<string, Array.<string>>} The 3-letter codes of the
+   *     currencies in circulation, most common first, keyed by 2-letter
+   *     country code. They may include currencies we have no rates for.
+   */
+  getCountryCurrencies() {
+    return this._countryCurrencies || {};
+  }
+
+  /**
+   * Returns a promise for the country names and continents, for browsing
+   * currencies by country.
+   *
+   * @return {Promise.<Object.<string, {name: string, continent: string}>>}
+   *     Promise with the countries, keyed by 2-letter country code.
+   */
+  fetchCountries() {
+    const COUNTRIES = 'data/countries.json';
+    const MESSAGE = 'Error loading country data.';
+
+    if (!this._countriesPromise) {
+      this._countriesPromise = PromiseUtils.fetchJson(COUNTRIES, MESSAGE);
+      // Try again next time, if it failed.
+      this._countriesPromise.catch(() => (this._countriesPromise = null));
+    }
+    return this._countriesPromise;
+  }
+
+  /**
+   * Turns notifications on, asking for permission to show them. Browsers only
+   * ask when this is called from a user action, such as a click.
+   */
+  enableNotifications() {
+    this._model.settings.notify.value = true;
+    Notification.requestPermission().then((result) => {
+      if (result === 'denied') {
+        this._model.settings.notify.value = false;
+        this._snackbar.show({
+          message: I18n.t('notify.denied'),
+          timeout: 10000,
+          multiline: true,
+        });
+      }
+    });
+  }
+
+  /**
+   * Returns the current exchange rate between two currencies.
+   * @param {string} fromCur The 3-letter code of the currency to convert from.
+   * @param {string} toCur The 3-letter code of the currency to convert to.
+   * @return {?Decimal} How much one unit of fromCur buys in toCur, or null if
+   *                    there are no rates for it yet.
+   */
+  getRate(fromCur, toCur) {
+    if (!this._rates) {
+      return null;
+    }
+    return this._getRate(fromCur, toCur);
+  }
+
   /**
    * Converts an amount between currencies.
    * @param {number} value The amount to convert.
    * @param {string} fromCur The 3-letter code of the currency to convert from.
    * @param {string} toCur The 3-letter code of the currency to convert to.
-   * @return {number} The converted amount.
+   * @return {?Decimal} The converted amount, rounded to the minor units of
+   *                     the target currency, or null if a rate is missing.
    */
   _convertValue(value, fromCur, toCur) {
-    let conversion = null;
-    value = value || 0;
-
-    if (fromCur === toCur) {
-      conversion = value;
-    } else if (toCur === this._rates.base) {
-      conversion = value / this._rates.rates[fromCur];
-    } else if (fromCur === this._rates.base) {
-      conversion = value * this._rates.rates[toCur];
-    } else {
-      conversion =
-        value * this._rates.rates[toCur] / this._rates.rates[fromCur];
+    // Custom rates are what's on offer now, so don't use them for past dates.
+    const custom = this._model.rates.asOf.value ? null :
+      this._customRate(fromCur, toCur);
+    const rate = custom || this._getRate(fromCur, toCur, this._activeRates());
+
+    if (rate === null) {
+      return null;
+    }
+    return Decimal.from(value || 0).times(rate)
+      .round(this._minorUnits(toCur));
+  }
+
+  /**
+   * Returns the exchange rate between two currencies.
+   * @param {string} fromCur The 3-letter code of the currency to convert from.
+   * @param {string} toCur The 3-letter code of the currency to convert to.
+   * @param {Object} rates The rates payload to use. Defaults to the current
+   *                       rates.
+   * @return {?Decimal} How much one unit of fromCur buys in toCur, or null if
+   *                    a rate is missing.
+   */
+  _getRate(fromCur, toCur, rates = this._rates) {
+    try {
+      return this._rateTable(rates).rate(fromCur, toCur);
+    } catch (error) {
+      if (error instanceof RateUnavailableError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the rate table for a rates payload, building it if needed.
+   * @param {Object} rates The rates payload.
+   * @return {RateTable} The rate table.
+   */
+  _rateTable(rates) {
+    if (!this._rateTables.has(rates)) {
+      this._rateTables.set(rates, new RateTable(rates));
+    }
+    return this._rateTables.get(rates);
+  }
+
+  /**
+   * Returns the unexpired custom rate override for a pair of currencies, in
+   * either direction.
+   * @param {string} fromCur The 3-letter code of one of the currencies.
+   * @param {string} toCur The 3-letter code of the other currency.
+   * @return {?Object} The override, with its rate and expiry time, or null if
+   *                   there is none.
+   */
+  _customOverride(fromCur, toCur) {
+    return findOverride(this._model.custom.overrides.value || {}, fromCur,
+      toCur);
+  }
+
+  /**
+   * Returns the custom exchange rate set by the user for a pair of currencies.
+   * @param {string} fromCur The 3-letter code of the currency to convert from.
+   * @param {string} toCur The 3-letter code of the currency to convert to.
+   * @return {?Decimal} How much one unit of fromCur buys in toCur, or null if
+   *                    there is no custom rate for the pair.
+   */
+  _customRate(fromCur, toCur) {
+    return overrideRate(this._model.custom.overrides.value || {}, fromCur,
+      toCur);
+  }
+
+  /**
+   * Sets or clears the custom exchange rate for a pair of currencies.
+   * @param {string} fromCur The 3-letter code of the currency to convert from.
+   * @param {string} toCur The 3-letter code of the currency to convert to.
+   * @param {?Object} override The rate and expiry time, or null to clear.
+   */
+  _setCustomRate(fromCur, toCur, override) {
+    const overrides = Object.assign({}, this._model.custom.overrides.value);
+
+    delete overrides[`${fromCur}:${toCur}`];
+    delete overrides[`${toCur}:${fromCur}`];
+    if (override) {
+      overrides[`${fromCur}:${toCur}`] = override;
+    }
+    this._model.custom.overrides.value = overrides;
+  }
+
+  /**
+   * Returns the custom rates that haven't expired yet.
+   * @param {Object} overrides The custom rates, keyed by currency pair.
+   * @return {Object} The custom rates still in effect.
+   */
+  _unexpiredOverrides(overrides) {
+    const now = Date.now();
+    return Object.keys(overrides)
+      .filter((key) => !overrides[key].expires || overrides[key].expires > now)
+      .reduce((valid, key) => Object.assign(valid, {[key]: overrides[key]}),
+        {});
+  }
+
+  /**
+   * Drops the custom rates when they expire, so that conversions and the
+   * custom rate badge are brought up to date while the app is open.
+   */
+  _scheduleCustomRateExpiry() {
+    clearTimeout(this._customExpiryTimeout);
+    const overrides = this._model.custom.overrides.value || {};
+    const expiries = Object.keys(overrides)
+      .map((key) => overrides[key].expires)
+      .filter(Boolean);
+    if (!expiries.length) {
+      return;
+    }
+
+    const delay = Math.min(Math.min(...expiries) - Date.now(),
+      CUSTOM_EXPIRY_CHECK_MS);
+    this._customExpiryTimeout = setTimeout(() => {
+      const current = this._model.custom.overrides.value || {};
+      const valid = this._unexpiredOverrides(current);
+      if (Object.keys(valid).length < Object.keys(current).length) {
+        // Listeners schedule the next check.
+        this._model.custom.overrides.value = valid;
+      } else {
+        this._scheduleCustomRateExpiry();
+      }
+    }, Math.max(delay, 0));
+  }
+
+  /**
+   * Returns the rates in effect: the current rates, or the stored rates
+   * closest to the chosen "as of" date.
+   * @return {?Object} The rates payload, or null if there are no rates yet.
+   */
+  _activeRates() {
+    const asOf = this._model.rates.asOf.value;
+    return asOf ? this._ratesOn(asOf) : this._rates;
+  }
+
+  /**
+   * Returns the stored rates closest to a date.
+   * @param {string} date The ISO date, e.g. '2018-06-30'.
+   * @return {?Object} The rates payload, or the current rates if there is no
+   *                   rate history.
+   */
+  _ratesOn(date) {
+    if (!this._history || !this._history.length) {
+      return this._rates;
     }
 
-    return Math.round(conversion * 100) / 100;
+    const target = new Date(`${date}T00:00:00`).getTime();
+    const distance = (rates) =>
+      Math.abs(new Date(`${rates.date}T00:00:00`).getTime() - target);
+
+    // History is ordered by date, so ties go to the earlier rates, which had
+    // already been published on the chosen date.
+    return this._history.reduce((closest, rates) =>
+      (distance(rates) < distance(closest) ? rates : closest));
+  }
+
+  /**
+   * Returns the fee profile currently in use.
+   * @return {?Object} The active fee profile, or null if there is none.
+   */
+  _activeFeeProfile() {
+    const profiles = this._model.fees.profiles.value || [];
+    return profiles.find((profile) =>
+      profile.id === this._model.fees.active.value) || null;
+  }
+
+  /**
+   * Returns the number of decimal places used by a currency, as per the
+   * minor units in the currency data.
+   * @param {string} code The 3-letter code for the currency.
+   * @return {number} The number of decimal places.
+   */
+  _minorUnits(code) {
+    const details = this._model.currencies.value.get(code);
+    return details && 'minorUnits' in details ? details.minorUnits : 2;
   }
 
   /**
    * Updates the UI with the current rates.
    */
   _updateRateInfo() {
-    if (this._rates) {
+    const rates = this._activeRates();
+
+    if (rates) {
       const day = 24 * 60 * 60 * 1000;
-      const rateDate = new Date(`${this._rates.date}T00:00:00`);
+      const rateDate = new Date(`${rates.date}T00:00:00`);
       const daysToday = new Date().getTime() / day;
       const daysRates = rateDate.getTime() / day;
       const days = Math.floor(daysToday - daysRates);
+      const asOf = this._model.rates.asOf.value;
 
-      this._model.rates.date.value = rateDate.toISOString().split('T', 1)[0];
+      this._model.rates.date.value = rates.date;
 
-      this._model.rates.message.value = 'Rates updated ';
-      if (days === 0) {
-        this._model.rates.relative.value = 'today';
+      if (!asOf) {
+        this._model.rates.message.value = I18n.t('rates.updated');
+      } else if (asOf === rates.date) {
+        this._model.rates.message.value =
+          I18n.t('rates.asOf', {date: rates.date});
       } else {
-        this._model.rates.relative.value =
-          `${days} day${days === 1 ? '' : 's'} ago`;
+        this._model.rates.message.value =
+          I18n.t('rates.closest', {asOf, date: rates.date});
       }
+      this._model.rates.relative.value = I18n.t('rates.relative', {days});
     }
   }
 
@@ -676,13 +1597,118 @@ class App {
   }
 
   /**
-   * Returns a promise for loading the rates from IndexedDB.
+   * Returns a promise for storing the rates in IndexedDB, both as the current
+   * rates and in the rate history.
    * Also updates the member variables.
    *
    * @return {Promise} Promise for the storage success.
    */
   _storeRates() {
-    return Db.saveToStore('rates', this._rates);
+    this._addToHistory(this._rates);
+    this._pruneHistory();
+    this._updateTrend();
+
+    return Promise.all([
+      Db.saveToStore('rates', this._rates),
+      Db.saveToObjectStore('history', this._rates.date, this._rates),
+    ]);
+  }
+
+  /**
+   * Returns a promise for loading the rate history from IndexedDB, making
+   * sure it includes the current rates.
+   * Also updates the member variables.
+   *
+   * @return {Promise.<Array.<Object>>} Promise with the rate history.
+   */
+  _loadHistory() {
+    return Db.loadAllFromObjectStore('history').then((entries) => {
+      this._history = entries.map((entry) => entry.value);
+      if (this._rates) {
+        this._addToHistory(this._rates);
+        Db.saveToObjectStore('history', this._rates.date, this._rates);
+      }
+      this._pruneHistory();
+      this._updateTrend();
+      return this._history;
+    });
+  }
+
+  /**
+   * Adds a rates payload to the in-memory rate history, replacing any other
+   * payload for the same date.
+   *
+   * @param {Object} rates The rates payload to add.
+   */
+  _addToHistory(rates) {
+    if (this._history) {
+      this._history = this._history
+        .filter((entry) => entry.date !== rates.date)
+        .concat([rates])
+        .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    }
+  }
+
+  /**
+   * Deletes rates older than the retention window from the rate history.
+   * The most recent rates are always kept.
+   */
+  _pruneHistory() {
+    if (!this._history || !this._history.length) {
+      return;
+    }
+
+    const day = 24 * 60 * 60 * 1000;
+    const days = this._model.settings.historyDays.value ||
+      DEFAULT_HISTORY_DAYS;
+    const cutoff =
+      new Date(Date.now() - days * day).toISOString().split('T', 1)[0];
+    const latest = this._history[this._history.length - 1];
+    const expired = this._history.filter((entry) =>
+      entry.date < cutoff && entry !== latest);
+
+    this._history = this._history.filter((entry) => !expired.includes(entry));
+    expired.forEach((entry) => Db.deleteFromObjectStore('history', entry.date));
+  }
+
+  /**
+   * Updates the rate trend for the current currency pair, from the rate
+   * history.
+   */
+  _updateTrend() {
+    const {
+      home,
+      travel,
+      trend,
+    } = this._model;
+
+    const day = 24 * 60 * 60 * 1000;
+    const points = (this._history || []).map((rates) => ({
+      time: new Date(`${rates.date}T00:00:00`).getTime(),
+      rate: this._getRate(home.code.value, travel.code.value, rates),
+    })).filter((point) => point.rate !== null);
+
+    if (points.length < 2) {
+      trend.points.value = [];
+      return;
+    }
+
+    const rates = points.map((point) => point.rate);
+    const sum = rates.reduce((total, rate) => total.plus(rate),
+      Decimal.from(0));
+    const days =
+      Math.round((points[points.length - 1].time - points[0].time) / day);
+
+    trend.period.value = I18n.t('trend.period', {count: days});
+    trend.min.value = Format.formatRate(rates.reduce((min, rate) =>
+      (rate.compareTo(min) < 0 ? rate : min)));
+    trend.max.value = Format.formatRate(rates.reduce((max, rate) =>
+      (rate.compareTo(max) > 0 ? rate : max)));
+    trend.average.value = Format.formatRate(sum.dividedBy(rates.length));
+    trend.points.value = points.map((point) => ({
+      time: point.time,
+      value: point.rate.toNumber(),
+    }));
   }
 
   /**
@@ -706,23 +1732,46 @@ class App {
   }
 
   /**
-   * Returns a promise for loading a common value from IndexedDB.
+   * Returns a promise for loading the common values from IndexedDB.
    * Also updates the member variables.
    *
-   * @param {string} key One of 'first', 'second' or 'third'.
-   * @return {Promise.<Object>} Promise with the loaded common values.
+   * @return {Promise.<Array.<number>>} Promise with the loaded common values.
    */
-  _loadCommon(key) {
-    if (key !== 'first' && key !== 'second' && key !== 'third') {
-      throw new Error(`Invalid common value key: ${key}.`);
-    }
-    return Db.loadFromStore(`common.${key}`).then((value) => {
-      if (!value && value !== 0) {
-        throw new Error(`Undefined: common.${key}.`);
-      }
-      this._model.common[key].home.value = value;
-      return value;
-    });
+  _loadCommon() {
+    return Db.loadFromStore('common.values')
+      .then((values) => {
+        if (!Array.isArray(values)) {
+          throw new Error('Undefined: common.values.');
+        }
+        return values;
+      })
+      .catch(() => this._migrateCommon())
+      .then((values) => {
+        this._model.common.values.value = values;
+        return values;
+      });
+  }
+
+  /**
+   * Returns a promise for moving the common values stored by older versions,
+   * which had exactly three of them under fixed keys, to the list of common
+   * values. Fails if there are none to move.
+   *
+   * @return {Promise.<Array.<number>>} Promise with the moved common values.
+   */
+  _migrateCommon() {
+    return Promise.all(LEGACY_COMMON_KEYS.map((key) =>
+      Db.loadFromStore(key).catch(() => null)))
+      .then((values) => {
+        values = values.filter((value) => value || value === 0);
+        if (values.length === 0) {
+          throw new Error('No common values to migrate.');
+        }
+        return Db.saveToStore('common.values', values)
+          .then(() => Promise.all(LEGACY_COMMON_KEYS.map((key) =>
+            Db.deleteFromStore(key))))
+          .then(() => values);
+      });
   }
 
   /**
@@ -732,20 +1781,25 @@ class App {
    * @return {Promise.<Object>} The constructed promise.
    */
   _fetchRates(forceUpdate = false) {
-    const RATE_URL = '/rates';
-    const MESSAGE = 'Error getting rates.';
-    const ACCEPTABLE_TIMEOUT = 5000;
-
-    let url = forceUpdate ? `${RATE_URL}?${new Date().getTime()}` : RATE_URL;
-
-    return PromiseUtils.fetchJson(url, MESSAGE, ACCEPTABLE_TIMEOUT).then(
-      (result) => {
+    return this._providerPromise
+      .then(() => this._provider.fetchRates(forceUpdate))
+      .then((result) => {
         this._rates = result;
         this._updateRateInfo();
-        this._storeRates();
+        this._storeRates().then(() => this._checkAlerts(result));
         return result;
-      }
-    );
+      });
+  }
+
+  /**
+   * Asks the service worker to check the rate alerts against new rates.
+   * @param {Object} rates The new rates payload.
+   */
+  _checkAlerts(rates) {
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.ready.then((registration) =>
+        registration.active.postMessage({action: 'check-alerts', rates}));
+    }
   }
 
   /**
@@ -786,26 +1840,236 @@ class App {
   }
 
   /**
-   * Identify country and currency, based on geo data.
-   * @param {Object} geoData The geo data returned by the Google Maps API.
-   * @return {Object} An object containing country and currency data.
+   * Returns a promise for the banknotes and coins of each currency.
+   *
+   * @return {Promise.<Object>} The constructed promise.
+   */
+  _fetchDenominations() {
+    const DENOMINATIONS = 'data/denominations.json';
+    const MESSAGE = 'Error loading banknote and coin data.';
+
+    return PromiseUtils.fetchJson(DENOMINATIONS, MESSAGE).then(
+      (result) => (this._model.denominations.value = result));
+  }
+
+  /**
+   * Returns a promise for the time zone to country mapping data.
+   *
+   * @return {Promise.<Object>} The constructed promise.
    */
-  _identifyCountryAndCurrency(geoData) {
-    if (geoData && geoData.status === 'OK' && geoData.results &&
-      geoData.results[0]) {
-      const bestGuess = geoData.results[0];
-      const country = bestGuess.address_components.find((item) =>
-        item.types.includes('country'));
+  _fetchTimeZoneCountries() {
+    const TIMEZONE_COUNTRIES = 'data/timezone-countries.json';
+    const MESSAGE = 'Error loading time zone to country data.';
 
-      if (country) {
-        return {
-          countryCode: country.short_name,
-          countryName: country.long_name,
-          currency: this._countryCurrencies[country.short_name],
-        };
+    return PromiseUtils.fetchJson(TIMEZONE_COUNTRIES, MESSAGE);
+  }
+
+  /**
+   * Suggests currencies based on the device settings: a home currency from
+   * the language preferences on first run, and a travel currency from the
+   * time zone when location access is off.
+   * @return {Promise} Promise for the suggestion being shown, if any.
+   */
+  _suggestCurrencies() {
+    const {home, travel, currencies} = this._model;
+    const currencyFor = (country) =>
+      (country && this._currenciesFor(country)[0]) || null;
+
+    let suggestedHome = this._firstRun ? currencyFor(
+      Geo.countryFromLanguages(navigator.languages || [navigator.language])) :
+      null;
+    if (suggestedHome === home.code.value) {
+      suggestedHome = null;
+    }
+
+    // A country that's known, e.g. set by hand, was already suggested.
+    const suggestTravel =
+      this._model.geo.enabled.value || this._knownCountry() ?
+      Promise.resolve(null) :
+      this._fetchTimeZoneCountries()
+        .then((zones) => currencyFor(Geo.countryFromTimeZone(zones)))
+        .catch(() => null);
+
+    return suggestTravel.then((suggestedTravel) => {
+      if (suggestedTravel === (suggestedHome || home.code.value) ||
+        suggestedTravel === travel.code.value ||
+        suggestedTravel === this._lastTravel) {
+        suggestedTravel = null;
+      }
+      if (!suggestedHome && !suggestedTravel) {
+        return;
+      }
+
+      const name = (code) =>
+        I18n.currencyName(code, currencies.value.get(code).name);
+      let message = '';
+      let actionText = '';
+
+      if (suggestedHome && suggestedTravel) {
+        message = I18n.t('suggest.both', {
+          home: suggestedHome,
+          homeName: name(suggestedHome),
+          travel: suggestedTravel,
+          travelName: name(suggestedTravel),
+        });
+        actionText = I18n.t('suggest.bothAction',
+          {home: suggestedHome, travel: suggestedTravel});
+      } else if (suggestedHome) {
+        message = I18n.t('suggest.home',
+          {code: suggestedHome, name: name(suggestedHome)});
+        actionText = I18n.t('suggest.change', {code: suggestedHome});
+      } else {
+        message = I18n.t('suggest.travel',
+          {code: suggestedTravel, name: name(suggestedTravel)});
+        actionText = I18n.t('suggest.change', {code: suggestedTravel});
       }
+
+      this._snackbar.show({
+        message,
+        timeout: 20000,
+        multiline: true,
+        actionOnBottom: true,
+        actionText,
+        actionHandler: () => {
+          if (suggestedHome) {
+            // Don't end up converting a currency to itself.
+            if (!suggestedTravel && travel.code.value === suggestedHome) {
+              travel.code.value = home.code.value;
+            }
+            home.code.value = suggestedHome;
+          }
+          if (suggestedTravel) {
+            travel.code.value = suggestedTravel;
+          }
+          // Fix bug with MDC-Web snackbar; force it to hide.
+          document.querySelector('.mm-snackbar').classList.remove(
+            'mdc-snackbar--active');
+        },
+      });
+
+      if (suggestedTravel) {
+        this._lastTravel = suggestedTravel;
+        Db.saveToStore('last-travel', this._lastTravel);
+      }
+    });
+  }
+
+  /**
+   * Returns a promise for the country boundary data. Only loaded when first
+   * needed, as it's fairly large.
+   *
+   * @return {Promise.<Object>} The constructed promise.
+   */
+  _fetchCountryBoundaries() {
+    const COUNTRY_BOUNDARIES = 'data/country-boundaries.json';
+    const MESSAGE = 'Error loading country boundary data.';
+
+    if (!this._countryBoundariesPromise) {
+      this._countryBoundariesPromise =
+        PromiseUtils.fetchJson(COUNTRY_BOUNDARIES, MESSAGE);
+      // Try again next time, if it failed.
+      this._countryBoundariesPromise.catch(() =>
+        (this._countryBoundariesPromise = null));
+    }
+    return this._countryBoundariesPromise;
+  }
+
+  /**
+   * Identify the country for a position. This is done on the device, and
+   * optionally refined with the Google Maps API when online.
+   * @param {Position} position The position to identify the country for.
+   * @return {Promise.<?Object>} Promise with the country code and name, or
+   *                             null if it could not be identified.
+   */
+  _identifyCountry(position) {
+    const offline = this._fetchCountryBoundaries()
+      .then((boundaries) => Geo.lookupCountry(position, boundaries));
+
+    if (!this._model.geo.refine.value || !navigator.onLine) {
+      return offline;
     }
-    return null;
+    return Geo.reverseGeocode(position)
+      .then((data) => Geo.countryFromGeocode(data) || offline)
+      .catch(() => offline);
+  }
+
+  /**
+   * Returns the currencies we have rates for that are used in a country.
+   * The one the user chose last time they were there comes first, followed by
+   * the most common ones.
+   * @param {string} country The 2-letter country code.
+   * @return {Array.<string>} The 3-letter currency codes.
+   */
+  _currenciesFor(country) {
+    const codes = (this._countryCurrencies[country] || [])
+      .filter((code) => this._model.currencies.value.has(code));
+    const chosen = (this._countryChoices || {})[country];
+
+    if (!codes.includes(chosen)) {
+      return codes;
+    }
+    return [chosen].concat(codes.filter((code) => code !== chosen));
+  }
+
+  /**
+   * Remember which currency the user chose for a country with several.
+   * @param {string} country The 2-letter country code.
+   * @param {string} code The 3-letter code for the chosen currency.
+   */
+  _rememberCountryChoice(country, code) {
+    this._countryChoices = Object.assign({}, this._countryChoices,
+      {[country]: code});
+    Db.saveToStore('geo.choices', this._countryChoices);
+  }
+
+  /**
+   * Let the user choose between the currencies used in a country, and
+   * remember their choice for next time they're there.
+   * @param {Object} details The country and currency details.
+   * @param {Array.<string>} codes The 3-letter codes of the currencies to
+   *                               choose from.
+   */
+  _chooseCountryCurrency(details, codes) {
+    const options = document.querySelector('.mm-country-currency__options');
+
+    while (options.firstChild) {
+      options.removeChild(options.firstChild);
+    }
+    codes.forEach((code, index) => {
+      let label = document.createElement('label');
+      label.classList.add('mm-country-currency__option');
+      let radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'mm-country-currency';
+      radio.value = code;
+      radio.checked = index === 0;
+      label.appendChild(radio);
+      label.appendChild(document.createTextNode(`${I18n.currencyName(code,
+        this._model.currencies.value.get(code).name)} (${code})`));
+      options.appendChild(label);
+    });
+
+    document.querySelector('.mm-country-currency__country').textContent =
+      I18n.countryName(details.countryCode, details.countryName);
+    this._choosingCountry = details.countryCode;
+    this._countryCurrencyDialog.show();
+  }
+
+  /**
+   * Identify the currencies for a country.
+   * @param {?Object} country The country code and name.
+   * @return {?Object} An object containing country and currency data: the
+   *                   candidate currencies, and the one to suggest first.
+   */
+  _identifyCountryAndCurrency(country) {
+    if (!country) {
+      return null;
+    }
+    const currencies = this._currenciesFor(country.countryCode);
+    return Object.assign({}, country, {
+      currencies,
+      currency: currencies.length ? currencies[0] : null,
+    });
   }
 
   /**
@@ -819,13 +2083,65 @@ class App {
   }
 
   /**
-   * Validate the provided input field.
+   * Keeps a conversion in the history once the amount typed stops changing,
+   * if the user asked for a history.
+   * @param {string} type One of 'home' or 'travel', for the amount typed.
+   */
+  _settleConversion(type) {
+    clearTimeout(this._settleTimeout);
+    if (this._model.settings.logConversions.value) {
+      this._settleTimeout = setTimeout(() => this._recordConversion(type),
+        CONVERSION_SETTLE_MS);
+    }
+  }
+
+  /**
+   * Adds the current conversion to the history, unless it is the same as
+   * the last one kept.
+   * @param {string} type One of 'home' or 'travel', for the amount typed.
+   */
+  _recordConversion(type) {
+    const from = this._model[type];
+    const to = type === 'home' ? this._model.travel : this._model.home;
+    const amount = from.amount.value;
+
+    if (!this._model.settings.logConversions.value || !this._rates ||
+      amount === null) {
+      return;
+    }
+
+    // Custom rates are what's on offer now, so they have no rates date.
+    const custom = this._model.rates.asOf.value ? null :
+      this._customRate(from.code.value, to.code.value);
+    const rate = custom ||
+      this._getRate(from.code.value, to.code.value, this._activeRates());
+    if (rate === null) {
+      return;
+    }
+
+    const conversion = Conversions.createConversion(from.code.value, amount,
+      to.code.value, this._convertValue(amount, from.code.value, to.code.value),
+      rate, custom ? null : this._activeRates().date);
+    const conversions = this._model.conversions.value || [];
+
+    if (!conversions.length ||
+      !Conversions.isSameConversion(conversions[0], conversion)) {
+      this._model.conversions.value = [conversion].concat(conversions);
+    }
+  }
+
+  /**
+   * Validate the provided input field, evaluating any calculation in it.
+   * Shows a preview of the result, or which part of it is malformed.
    * @param {string} type One of 'home' or 'travel'.
+   * @return {?Decimal} The amount entered, or null if empty or invalid.
    */
   _validateInput(type) {
     let input = null;
     let block = null;
     let otherBlock = null;
+    let amount = null;
+    let error = null;
 
     if (type === 'home') {
       input = this._homeBox;
@@ -837,10 +2153,24 @@ class App {
       otherBlock = this._homeBlock;
     }
 
-    const isEmpty = input.value === '' && input.validity &&
-      input.validity.valid;
+    try {
+      amount = Expression.evaluate(input.value, Format.getDecimalSeparator());
+    } catch (e) {
+      if (!(e instanceof Expression.ExpressionError)) {
+        throw e;
+      }
+      error = e;
+    }
+
+    const preview = block.querySelector('.mm-convert__preview');
+    preview.textContent = amount !== null &&
+      Expression.isCalculation(input.value) ?
+      `= ${Format.formatAmount(amount,
+        this._minorUnits(this._model[type].code.value))}` : '';
 
-    if (!isEmpty && isNaN(parseFloat(input.value))) {
+    if (error) {
+      const message = block.querySelector('.mm-convert__error-message');
+      message.textContent = error.message;
       this._elements.card.classList.add('mm-convert--invalid');
       block.classList.add('mm-convert--invalid');
       block.querySelector('.mm-convert__error').removeAttribute('aria-hidden');
@@ -856,6 +2186,8 @@ class App {
       otherBlock.querySelector('.mm-convert__error').setAttribute(
         'aria-hidden', true);
     }
+
+    return amount;
   }
 
   /**
@@ -864,44 +2196,169 @@ class App {
    */
   _locate() {
     return Geo.getCurrentPosition()
-      .then((pos) => Geo.reverseGeocode(pos))
-      .then((data) => this._identifyCountryAndCurrency(data))
-      .then((details) => {
-        if (details) {
-          const code = details.currency;
-          const name = this._model.currencies.value.get(code)['name'];
-
-          let formattedCountryName = details.countryName;
-          // Yay, language exceptions.
-          const contriesThatNeedThe = ['United', 'Netherlands'];
-          for (let i = 0; i < contriesThatNeedThe.length; i++) {
-            if (formattedCountryName.indexOf(contriesThatNeedThe[i]) === 0) {
-              formattedCountryName = `the ${formattedCountryName}`;
-            }
-          }
+      .then((pos) => this._identifyCountry(pos))
+      .then((country) => {
+        this._setKnownCountry(country);
+        return this._suggestTravelCurrency(country);
+      }, (error) => {
+        // Fall back to where the user was last known to be, unless location
+        // access was denied, which the user needs to know about.
+        const known = this._knownCountry();
+        if (!known || (error.type === 'PositionError' &&
+          error.inner.code === 1)) {
+          throw error;
+        }
+        return this._suggestTravelCurrency(known);
+      });
+  }
 
-          if (code && code !== this._model.home.code.value &&
-            code !== this._lastTravel) {
-            this._snackbar.show({
-              message: `Welcome to ${formattedCountryName}! Would you like ` +
-                `to change your travel currency to '${name}' (${code})?`,
-              timeout: 20000,
-              multiline: true,
-              actionOnBottom: true,
-              actionText: `Change to ${code}`,
-              actionHandler: () => {
-                this._model.travel.code.value = code;
-                // Fix bug with MDC-Web snackbar; force it to hide.
-                document.querySelector('.mm-snackbar').classList.remove(
-                  'mdc-snackbar--active');
-              },
-            });
-            this._lastTravel = code;
-            Db.saveToStore('last-travel', this._lastTravel);
+  /**
+   * Sets the country the user is in by hand, e.g. when location access is
+   * off, and suggests its currency.
+   * @param {string} countryCode The 2-letter country code.
+   * @return {Promise} Promise with the country and currency details.
+   */
+  setCountry(countryCode) {
+    return this.fetchCountries().then((countries) => {
+      const country = {countryCode, countryName: countries[countryCode].name};
+      this._setKnownCountry(country, true);
+      return this._suggestTravelCurrency(country);
+    });
+  }
+
+  /**
+   * Remember the country the user is in, for when the location can't be
+   * determined.
+   * @param {?Object} country The country code and name, or null if unknown.
+   * @param {boolean} manual Whether the user set it by hand.
+   */
+  _setKnownCountry(country, manual = false) {
+    if (country) {
+      this._model.geo.country.value = {
+        countryCode: country.countryCode,
+        countryName: country.countryName,
+        time: Date.now(),
+        manual,
+      };
+    }
+  }
+
+  /**
+   * Returns the country the user was last known to be in, if that was
+   * recent enough to rely on.
+   * @return {?Object} The country code and name, when it was determined and
+   *                   whether by hand, or null if it's unknown or expired.
+   */
+  _knownCountry() {
+    const country = this._model.geo.country.value;
+    const hour = 60 * 60 * 1000;
+
+    if (!country) {
+      return null;
+    }
+    const expiry = country.manual ?
+      MANUAL_COUNTRY_EXPIRY_DAYS * 24 * hour : COUNTRY_EXPIRY_HOURS * hour;
+    return Date.now() - country.time < expiry ? country : null;
+  }
+
+  /**
+   * Starts or stops watching the position for border crossings, depending
+   * on the settings. Only watches while the app is visible, to save battery.
+   */
+  _updateWatch() {
+    const watch = this._model.geo.enabled.value &&
+      this._model.geo.watch.value && document.visibilityState !== 'hidden';
+
+    if (watch && !this._stopWatch) {
+      const onPosition = (position) => this._identifyCountry(position)
+        .then((country) => {
+          const known = this._knownCountry();
+          this._setKnownCountry(country);
+          // Only suggest a currency when entering a new country.
+          if (country &&
+            (!known || country.countryCode !== known.countryCode)) {
+            this._suggestTravelCurrency(country);
           }
+        })
+        // Try again with the next position.
+        .catch(() => {});
+      const onError = (error) => {
+        // Stop trying if location access has been taken away.
+        if (error.type !== 'PositionError' || error.inner.code === 1) {
+          this._model.geo.watch.value = false;
         }
-        return details;
+      };
+      this._stopWatch = Geo.watchPosition(onPosition, onError);
+    } else if (!watch && this._stopWatch) {
+      this._stopWatch();
+      this._stopWatch = null;
+    }
+  }
+
+  /**
+   * Suggests changing the travel currency to the one used in a country, if
+   * it hasn't been suggested already.
+   * @param {?Object} country The country code and name.
+   * @return {?Object} The country and currency details.
+   */
+  _suggestTravelCurrency(country) {
+    const details = this._identifyCountryAndCurrency(country);
+
+    // Not every country has a currency we have rates for, and there's no
+    // need to suggest the home currency.
+    const codes = details ? details.currencies.filter(
+      (code) => code !== this._model.home.code.value) : [];
+    const chosen = details &&
+      (this._countryChoices || {})[details.countryCode];
+
+    // Don't suggest the same currencies again for the same trip.
+    if (codes.length && !codes.includes(this._lastTravel)) {
+      // Some languages need articles or cases for some countries, which the
+      // translations take care of.
+      const destination = I18n.t('welcome.destination', {
+        country: details.countryCode,
+        name: I18n.countryName(details.countryCode, details.countryName),
       });
+
+      // Let the user pick if there are several, unless they already have.
+      if (codes.length > 1 && codes[0] !== chosen) {
+        this._snackbar.show({
+          message: I18n.t('welcome.several',
+            {destination, codes: codes.join(', ')}),
+          timeout: 20000,
+          multiline: true,
+          actionOnBottom: true,
+          actionText: I18n.t('welcome.choose'),
+          actionHandler: () => {
+            this._chooseCountryCurrency(details, codes);
+            // Fix bug with MDC-Web snackbar; force it to hide.
+            document.querySelector('.mm-snackbar').classList.remove(
+              'mdc-snackbar--active');
+          },
+        });
+      } else {
+        const code = codes[0];
+        const name = I18n.currencyName(code,
+          this._model.currencies.value.get(code).name);
+
+        this._snackbar.show({
+          message: I18n.t('welcome.one', {destination, code, name}),
+          timeout: 20000,
+          multiline: true,
+          actionOnBottom: true,
+          actionText: I18n.t('suggest.change', {code}),
+          actionHandler: () => {
+            this._model.travel.code.value = code;
+            // Fix bug with MDC-Web snackbar; force it to hide.
+            document.querySelector('.mm-snackbar').classList.remove(
+              'mdc-snackbar--active');
+          },
+        });
+      }
+      this._lastTravel = codes[0];
+      Db.saveToStore('last-travel', this._lastTravel);
+    }
+    return details;
   }
 }
 
@@ -0,0 +1,300 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as PromiseUtils from './promise-utils';
+import {
+  t,
+} from './i18n';
+
+const ACCEPTABLE_TIMEOUT = 5000;
+
+export const SERVER_URL = '/rates';
+// The ECB doesn't allow cross-origin requests, so its XML is passed through
+// the app's server.
+export const ECB_URL = '/rates/ecb.xml';
+
+/**
+ * The provider used until the user picks another one.
+ */
+export const DEFAULT_PROVIDER = {type: 'server'};
+
+/**
+ * Adds a cache-busting parameter to a URL.
+ * @param {string} url The URL.
+ * @param {boolean} forceUpdate Whether to bust the cache at all.
+ * @return {string} The URL to fetch.
+ */
+function _withCacheBust(url, forceUpdate) {
+  if (!forceUpdate) {
+    return url;
+  }
+  return `${url}${url.includes('?') ? '&' : '?'}${new Date().getTime()}`;
+}
+
+/**
+ * Checks that a rates payload has the {base, date, rates} shape used across
+ * the app.
+ * @param {Object} payload The rates payload.
+ * @return {Object} The same payload.
+ * @throws {Error} If the payload is malformed.
+ */
+function _validate(payload) {
+  if (!payload || typeof payload.base !== 'string' || !payload.base ||
+    !/^\d{4}-\d{2}-\d{2}$/.test(payload.date) || !payload.rates ||
+    !Object.keys(payload.rates).length) {
+    throw new Error(t('provider.badFormat'));
+  }
+  return payload;
+}
+
+/**
+ * Returns today's date, for sources that don't say when rates were published.
+ * @return {string} The ISO date, e.g. "2017-06-30".
+ */
+function _today() {
+  return new Date().toISOString().split('T', 1)[0];
+}
+
+/**
+ * Looks up a dot-separated path in an object, e.g. "data.rates".
+ * @param {Object} object The object.
+ * @param {string} path The path. An empty path returns the object itself.
+ * @return {*} The value found, or undefined.
+ */
+function _lookup(object, path) {
+  return path.split('.').filter(Boolean)
+    .reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Provides rates from the app's own server, which serves ECB rates as JSON.
+ */
+export class ServerProvider {
+  /**
+   * @param {Object} config The provider configuration.
+   * @param {string} config.url The URL of the rates endpoint.
+   */
+  constructor({url = SERVER_URL} = {}) {
+    this._url = url;
+  }
+
+  /**
+   * The name of the provider, for display.
+   */
+  get name() {
+    return t('provider.server');
+  }
+
+  /**
+   * The URL rates are fetched from.
+   */
+  get source() {
+    return this._url;
+  }
+
+  /**
+   * Returns a promise for the latest rates.
+   * @param {boolean} forceUpdate Whether to force an update by cache busting.
+   * @return {Promise.<Object>} Promise with the rates payload.
+   */
+  fetchRates(forceUpdate = false) {
+    return PromiseUtils.fetchJson(_withCacheBust(this._url, forceUpdate),
+      t('provider.error'), ACCEPTABLE_TIMEOUT).then(_validate);
+  }
+}
+
+/**
+ * Provides rates from the ECB's daily euro reference rates XML, as passed
+ * through by the app's server or another proxy.
+ */
+export class EcbProvider {
+  /**
+   * @param {Object} config The provider configuration.
+   * @param {string} config.url The URL of the eurofxref XML file, which
+   *     has to allow requests from the app.
+   */
+  constructor({url = ECB_URL} = {}) {
+    this._url = url;
+  }
+
+  /**
+   * The name of the provider, for display.
+   */
+  get name() {
+    return t('provider.ecb');
+  }
+
+  /**
+   * The URL rates are fetched from.
+   */
+  get source() {
+    return this._url;
+  }
+
+  /**
+   * Returns a promise for the latest rates.
+   * @param {boolean} forceUpdate Whether to force an update by cache busting.
+   * @return {Promise.<Object>} Promise with the rates payload.
+   */
+  fetchRates(forceUpdate = false) {
+    return PromiseUtils.fetchFile(_withCacheBust(this._url, forceUpdate),
+      t('provider.error'), ACCEPTABLE_TIMEOUT, 'text')
+      .then(parseEcbXml).then(_validate);
+  }
+}
+
+/**
+ * Parses the ECB's eurofxref XML format into a rates payload.
+ * @param {string} text The XML text.
+ * @return {Object} The rates payload, in euros.
+ */
+export function parseEcbXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'text/xml');
+  const day = Array.from(doc.getElementsByTagName('Cube'))
+    .find((cube) => cube.hasAttribute('time'));
+  const rates = {};
+
+  if (!day) {
+    throw new Error(t('provider.badFormat'));
+  }
+  for (const cube of Array.from(day.getElementsByTagName('Cube'))) {
+    rates[cube.getAttribute('currency')] =
+      parseFloat(cube.getAttribute('rate'));
+  }
+  return {base: 'EUR', date: day.getAttribute('time'), rates};
+}
+
+/**
+ * Provides rates from any JSON or CSV URL, mapped onto the app's format.
+ * JSON needs an object of currency codes to rates, found at a configurable
+ * path. CSV needs a currency code and a rate on each line.
+ */
+export class MappedProvider {
+  /**
+   * @param {Object} config The provider configuration.
+   * @param {string} config.url The URL to fetch.
+   * @param {string} config.format Either 'json' or 'csv'.
+   * @param {string} config.base The 3-letter code of the base currency. For
+   *     JSON, defaults to the "base" property of the response.
+   * @param {string} config.ratesPath For JSON, the path of the rates object.
+   * @param {string} config.datePath For JSON, the path of the rates date.
+   *     Defaults to today's date if missing.
+   */
+  constructor({url = '', format = 'json', base = '', ratesPath = 'rates',
+    datePath = 'date'} = {}) {
+    this._url = url;
+    this._format = format;
+    this._base = base;
+    this._ratesPath = ratesPath;
+    this._datePath = datePath;
+  }
+
+  /**
+   * The name of the provider, for display.
+   */
+  get name() {
+    return t('provider.custom', {format: this._format.toUpperCase()});
+  }
+
+  /**
+   * The URL rates are fetched from.
+   */
+  get source() {
+    return this._url;
+  }
+
+  /**
+   * Returns a promise for the latest rates.
+   * @param {boolean} forceUpdate Whether to force an update by cache busting.
+   * @return {Promise.<Object>} Promise with the rates payload.
+   */
+  fetchRates(forceUpdate = false) {
+    if (!this._url) {
+      return Promise.reject(new Error(t('provider.noUrl')));
+    }
+    return PromiseUtils.fetchFile(_withCacheBust(this._url, forceUpdate),
+      t('provider.error'), ACCEPTABLE_TIMEOUT, 'text')
+      .then((text) => this._format === 'csv' ?
+        this._mapCsv(text) : this._mapJson(JSON.parse(text)))
+      .then(_validate);
+  }
+
+  /**
+   * Maps a JSON response onto a rates payload.
+   * @param {Object} json The parsed response.
+   * @return {Object} The rates payload.
+   */
+  _mapJson(json) {
+    const rates = _lookup(json, this._ratesPath) || {};
+    const date = _lookup(json, this._datePath);
+
+    return {
+      base: (this._base || json.base || '').toUpperCase(),
+      // Accept timestamps as well as ISO dates.
+      date: typeof date === 'string' ? date.slice(0, 10) :
+        typeof date === 'number' ?
+          new Date(date < 1e12 ? date * 1000 : date).toISOString()
+            .split('T', 1)[0] : _today(),
+      rates: Object.keys(rates).reduce((mapped, code) =>
+        Object.assign(mapped, {[code.toUpperCase()]: Number(rates[code])}),
+      {}),
+    };
+  }
+
+  /**
+   * Maps a CSV response onto a rates payload. Lines that don't have a
+   * currency code and a number, such as headers, are skipped.
+   * @param {string} text The response text.
+   * @return {Object} The rates payload.
+   */
+  _mapCsv(text) {
+    const rates = {};
+
+    for (const line of text.split(/\r?\n/)) {
+      const [code = '', rate = ''] = line.split(/[,;\t]/)
+        .map((cell) => cell.trim().replace(/^"|"$/g, ''));
+      if (/^[A-Za-z]{3}$/.test(code) && isFinite(parseFloat(rate))) {
+        rates[code.toUpperCase()] = parseFloat(rate);
+      }
+    }
+    return {base: this._base.toUpperCase(), date: _today(), rates};
+  }
+}
+
+/**
+ * Creates a rate provider from its stored configuration.
+ * Every provider takes a URL, so that it can be pointed at a local server.
+ * @param {?Object} config The configuration, with a type of 'server', 'ecb'
+ *                         or 'custom', and the options for that provider.
+ * @return {ServerProvider|EcbProvider|MappedProvider} The provider.
+ */
+export function createProvider(config) {
+  config = config || DEFAULT_PROVIDER;
+  const options = Object.assign({}, config);
+
+  // Empty fields mean the defaults.
+  Object.keys(options).forEach((key) =>
+    options[key] === '' && delete options[key]);
+
+  switch (config.type) {
+    case 'ecb':
+      return new EcbProvider(options);
+    case 'custom':
+      return new MappedProvider(options);
+    default:
+      return new ServerProvider(options);
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Decimal from './decimal';
+
+// Number of decimal places kept for rates along a triangulation path.
+const RATE_SCALE = 20;
+
+/**
+ * Represents an error thrown when no rate is available between two
+ * currencies.
+ */
+export class RateUnavailableError extends Error {
+  /**
+   * @param {string} from The 3-letter code of the currency to convert from.
+   * @param {string} to The 3-letter code of the currency to convert to.
+   */
+  constructor(from, to) {
+    super(`No rate is available from ${from} to ${to}.`);
+    // Compiled classes can't extend Error, so restore the prototype for
+    // instanceof.
+    Object.setPrototypeOf(this, RateUnavailableError.prototype);
+    this.name = 'RateUnavailableError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Returns the unexpired custom rate set by the user for a pair of currencies,
+ * in either direction.
+ * @param {Object} overrides The custom rates, keyed by pair, e.g. "EUR:USD",
+ *     each with a rate and an optional expiry time.
+ * @param {string} from The 3-letter code of one of the currencies.
+ * @param {string} to The 3-letter code of the other currency.
+ * @param {number} now The current time, in milliseconds since the epoch.
+ * @return {?Object} The custom rate, or null if there is none.
+ */
+export function findOverride(overrides, from, to, now = Date.now()) {
+  const override = overrides[`${from}:${to}`] || overrides[`${to}:${from}`];
+
+  if (!override || (override.expires && override.expires <= now)) {
+    return null;
+  }
+  return override;
+}
+
+/**
+ * Returns the exchange rate from a custom rate set by the user, inverting it
+ * if it was set for the opposite direction.
+ * @param {Object} overrides The custom rates, as for findOverride.
+ * @param {string} from The 3-letter code of the currency to convert from.
+ * @param {string} to The 3-letter code of the currency to convert to.
+ * @param {number} now The current time, in milliseconds since the epoch.
+ * @return {?Decimal} How much one unit of from buys in to, or null if there
+ *     is no custom rate for the pair.
+ */
+export function overrideRate(overrides, from, to, now = Date.now()) {
+  const override = findOverride(overrides, from, to, now);
+
+  if (!override) {
+    return null;
+  }
+  return override === overrides[`${from}:${to}`] ?
+    Decimal.from(override.rate) :
+    Decimal.from(1).dividedBy(override.rate, RATE_SCALE);
+}
+
+/**
+ * A table of exchange rates, built from one or more rates payloads.
+ * Payloads can be in any base currency. Rates between currencies that are not
+ * quoted against each other are triangulated through the shortest path of
+ * known rates.
+ */
+export default class RateTable {
+  /**
+   * Constructor for RateTable.
+   * @param {Object|Array.<Object>} payloads The rates payloads, each with a
+   *     base currency code and a map of codes to how much one unit of the base
+   *     buys. Earlier payloads take precedence.
+   */
+  constructor(payloads = []) {
+    // Map of currency codes to maps of directly quoted codes and rates.
+    this._quotes = new Map();
+    this._cache = new Map();
+
+    [].concat(payloads).filter(Boolean).forEach((payload) => this.add(payload));
+  }
+
+  /**
+   * Adds the rates in a payload to the table. Rates that are already known
+   * are kept.
+   * @param {Object} payload The rates payload.
+   */
+  add(payload) {
+    const base = payload.base;
+
+    for (const code of Object.keys(payload.rates || {})) {
+      const rate = payload.rates[code];
+      // Skip anything we couldn't divide by.
+      if (code === base || !(rate > 0)) {
+        continue;
+      }
+      this._addQuote(base, code, Decimal.from(rate));
+      this._addQuote(code, base, Decimal.from(1).dividedBy(rate, RATE_SCALE));
+    }
+    this._cache = new Map();
+  }
+
+  /**
+   * Returns the codes of all the currencies with at least one rate.
+   * @return {Array.<string>} The currency codes.
+   */
+  codes() {
+    return Array.from(this._quotes.keys());
+  }
+
+  /**
+   * Whether the currency has at least one rate.
+   * @param {string} code The 3-letter code for the currency.
+   * @return {boolean} True if it has a rate.
+   */
+  isAvailable(code) {
+    return this._quotes.has(code);
+  }
+
+  /**
+   * Whether there is a rate between two currencies, direct or triangulated.
+   * @param {string} from The 3-letter code of the currency to convert from.
+   * @param {string} to The 3-letter code of the currency to convert to.
+   * @return {boolean} True if there is a rate.
+   */
+  canConvert(from, to) {
+    return this._find(from, to) !== null;
+  }
+
+  /**
+   * Returns the exchange rate between two currencies.
+   * @param {string} from The 3-letter code of the currency to convert from.
+   * @param {string} to The 3-letter code of the currency to convert to.
+   * @return {Decimal} How much one unit of from buys in to.
+   * @throws {RateUnavailableError} If there is no rate between them.
+   */
+  rate(from, to) {
+    const rate = this._find(from, to);
+
+    if (rate === null) {
+      throw new RateUnavailableError(from, to);
+    }
+    return rate;
+  }
+
+  /**
+   * Records a directly quoted rate, unless one is known already.
+   * @param {string} from The 3-letter code of the currency to convert from.
+   * @param {string} to The 3-letter code of the currency to convert to.
+   * @param {Decimal} rate How much one unit of from buys in to.
+   */
+  _addQuote(from, to, rate) {
+    if (!this._quotes.has(from)) {
+      this._quotes.set(from, new Map());
+    }
+    if (!this._quotes.get(from).has(to)) {
+      this._quotes.get(from).set(to, rate);
+    }
+  }
+
+  /**
+   * Finds the rate between two currencies through the shortest path of known
+   * rates, as every extra step adds spread in the real world.
+   * @param {string} from The 3-letter code of the currency to convert from.
+   * @param {string} to The 3-letter code of the currency to convert to.
+   * @return {?Decimal} The rate, or null if there is no path.
+   */
+  _find(from, to) {
+    const key = `${from}:${to}`;
+
+    if (!this._cache.has(key)) {
+      this._cache.set(key, this._search(from, to));
+    }
+    return this._cache.get(key);
+  }
+
+  /**
+   * Breadth-first search for a rate between two currencies.
+   * @param {string} from The 3-letter code of the currency to convert from.
+   * @param {string} to The 3-letter code of the currency to convert to.
+   * @return {?Decimal} The rate, or null if there is no path.
+   */
+  _search(from, to) {
+    if (from === to) {
+      return Decimal.from(1);
+    }
+    if (!this._quotes.has(from) || !this._quotes.has(to)) {
+      return null;
+    }
+
+    const rates = new Map([[from, Decimal.from(1)]]);
+    const queue = [from];
+
+    while (queue.length) {
+      const code = queue.shift();
+
+      for (const [next, quote] of this._quotes.get(code)) {
+        if (rates.has(next)) {
+          continue;
+        }
+        const rate = rates.get(code).times(quote).round(RATE_SCALE);
+        if (next === to) {
+          return rate;
+        }
+        rates.set(next, rate);
+        queue.push(next);
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Normalizes text for matching, ignoring case and accents, while keeping
+ * track of where each normalized character came from.
+ * @param {string} text The text to normalize.
+ * @return {{text: string, offsets: Array.<number>}} The normalized text, and
+ *     the index in the original text for each of its characters.
+ */
+function _normalize(text) {
+  let normalized = '';
+  const offsets = [];
+
+  Array.from(text).reduce((index, char) => {
+    const plain = char.normalize('NFD').replace(/[̀-ͯ]/g, '')
+      .toLowerCase();
+    for (let i = 0; i < plain.length; i++) {
+      offsets.push(index);
+    }
+    normalized += plain;
+    return index + char.length;
+  }, 0);
+  offsets.push(text.length);
+
+  return {text: normalized, offsets};
+}
+
+/**
+ * Returns the edit distance between two strings, counting swapped adjacent
+ * characters as a single edit, as they are a common typo.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @return {number} The number of edits.
+ */
+function _editDistance(a, b) {
+  const rows = [];
+
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i].push(j);
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Matches a search query against some text, tolerating typos.
+ * Exact matches score higher than typo-tolerant ones, and matches at the
+ * start of the text or of a word score higher than ones in the middle.
+ * @param {string} query The search query.
+ * @param {string} text The text to search in.
+ * @return {?{score: number, start: number, end: number}} The match, with a
+ *     score between 0 and 1 and the range of the match in the text, or null
+ *     if it doesn't match.
+ */
+export function fuzzyMatch(query, text) {
+  const needle = _normalize(query.trim()).text;
+  const haystack = _normalize(text || '');
+
+  if (!needle || !haystack.text) {
+    return null;
+  }
+
+  const range = (start, length) => ({
+    start: haystack.offsets[start],
+    end: haystack.offsets[start + length],
+  });
+  const wordStarts = [];
+  // Unicode property escapes don't survive the build, so find words by what
+  // separates them instead.
+  const words = /[^\s\-'.,()·]+/g;
+  let word;
+  while ((word = words.exec(haystack.text))) {
+    wordStarts.push(word.index);
+  }
+
+  // Exact matches, preferring the whole text, then its start, then the start
+  // of a word.
+  if (haystack.text.startsWith(needle)) {
+    const score = needle.length === haystack.text.length ? 1 : 0.95;
+    return Object.assign({score}, range(0, needle.length));
+  }
+  const wordStart = wordStarts.find(
+    (index) => haystack.text.startsWith(needle, index));
+  if (wordStart !== undefined) {
+    return Object.assign({score: 0.85}, range(wordStart, needle.length));
+  }
+  const index = haystack.text.indexOf(needle);
+  if (index !== -1) {
+    return Object.assign({score: 0.7}, range(index, needle.length));
+  }
+
+  // Otherwise allow a typo for every few characters, compared to the start
+  // of each word.
+  const allowed = Math.floor(needle.length / 4);
+  if (!allowed) {
+    return null;
+  }
+
+  let best = null;
+  for (let start of wordStarts) {
+    const rest = haystack.text.slice(start);
+    // Compare against prefixes a little shorter or longer than the query.
+    for (let length = needle.length - allowed;
+      length <= needle.length + allowed; length++) {
+      if (length > rest.length) {
+        break;
+      }
+      const edits = _editDistance(needle, rest.slice(0, length));
+      if (edits <= allowed && (!best || edits < best.edits)) {
+        best = Object.assign({edits}, range(start, length));
+      }
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+  return {
+    score: 0.5 * (1 - best.edits / (allowed + 1)),
+    start: best.start,
+    end: best.end,
+  };
+}
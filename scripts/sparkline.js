@@ -0,0 +1,49 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Size of the SVG viewBox the sparkline is drawn into.
+const WIDTH = 100;
+const HEIGHT = 24;
+
+/**
+ * Draws a sparkline into an SVG element, replacing any previous one.
+ * Points are spaced by date, so that gaps in the data show as such.
+ * @param {SVGElement} svg The SVG element, with a polyline child.
+ * @param {Array.<{time: number, value: number}>} points The points to draw,
+ *                                                     ordered by time.
+ */
+export default function drawSparkline(svg, points) {
+  const polyline = svg.querySelector('polyline');
+
+  if (points.length < 2) {
+    polyline.setAttribute('points', '');
+    return;
+  }
+
+  const values = points.map((point) => point.value);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  const start = points[0].time;
+  const duration = points[points.length - 1].time - start;
+
+  polyline.setAttribute('points', points.map((point) => {
+    const x = duration ? (point.time - start) / duration * WIDTH : 0;
+    // Keep flat lines in the middle.
+    const y = range ? HEIGHT - (point.value - min) / range * HEIGHT :
+      HEIGHT / 2;
+    return `${x.toFixed(2)},${y.toFixed(2)}`;
+  }).join(' '));
+}
@@ -0,0 +1,189 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Decimal from './decimal';
+import * as Csv from './csv.js';
+import {createId} from './ids.js';
+
+// Expense categories, in the order they are offered.
+export const CATEGORIES = [
+  'food',
+  'lodging',
+  'transport',
+  'activities',
+  'shopping',
+  'other',
+];
+
+// Columns of the CSV export, in order.
+const CSV_COLUMNS = [
+  'date',
+  'category',
+  'note',
+  'amount',
+  'currency',
+  'homeAmount',
+  'homeCurrency',
+  'homeTotal',
+];
+
+/**
+ * Returns the date of a moment where the user is, rather than in UTC, so that
+ * an evening expense west of UTC isn't dated the next day.
+ * @param {Date} now The moment, now by default.
+ * @return {string} The ISO date, e.g. "2018-06-29".
+ */
+export function today(now = new Date()) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-` +
+    pad(now.getDate());
+}
+
+/**
+ * Creates a trip, with no expenses yet.
+ * @param {string} name The name of the trip, e.g. "Japan 2018".
+ * @param {string} code The 3-letter code of the travel currency.
+ * @param {string} start The ISO date the trip starts on.
+ * @param {?string} end The ISO date the trip ends on, if known.
+ * @return {Object} The trip.
+ */
+export function createTrip(name, code, start, end) {
+  return {
+    id: createId(),
+    name,
+    code,
+    start,
+    end,
+    expenses: [],
+  };
+}
+
+/**
+ * Creates an expense, in the travel currency of its trip.
+ * The rate to the home currency is kept with it, as rates for past dates are
+ * only stored for a while.
+ * @param {number|Decimal} amount The amount spent.
+ * @param {string} category One of CATEGORIES.
+ * @param {string} date The ISO date the money was spent on.
+ * @param {string} note What the money was spent on, if anything.
+ * @param {?{code: string, rate: Decimal, date: string}} home The home
+ *     currency, its rate on the date and the date of the rates, or null if
+ *     there was no rate.
+ * @return {Object} The expense.
+ */
+export function createExpense(amount, category, date, note, home) {
+  return {
+    id: createId(),
+    amount: Decimal.from(amount).toString(),
+    category,
+    date,
+    note,
+    home: home ? {
+      code: home.code,
+      rate: Decimal.from(home.rate).toString(),
+      date: home.date,
+    } : null,
+  };
+}
+
+/**
+ * Returns a copy of a trip with an expense added, keeping expenses by date.
+ * @param {Object} trip The trip.
+ * @param {Object} expense The expense to add.
+ * @return {Object} The updated trip.
+ */
+export function addExpense(trip, expense) {
+  const expenses = trip.expenses.concat([expense]).sort((a, b) =>
+    (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  return Object.assign({}, trip, {expenses});
+}
+
+/**
+ * Returns a copy of a trip without one of its expenses.
+ * @param {Object} trip The trip.
+ * @param {string} id The id of the expense to remove.
+ * @return {Object} The updated trip.
+ */
+export function removeExpense(trip, id) {
+  return Object.assign({}, trip, {
+    expenses: trip.expenses.filter((expense) => expense.id !== id),
+  });
+}
+
+/**
+ * Adds up the expenses of a trip, overall and by category.
+ * @param {Object} trip The trip.
+ * @param {function(Object): ?Decimal} homeAmount Returns what an expense is
+ *     worth in the home currency, or null if there is no rate for it.
+ * @return {{travel: Decimal, home: Decimal, missing: number,
+ *     categories: Map.<string, {travel: Decimal, home: Decimal}>,
+ *     running: Array.<Decimal>}} The totals, with how many expenses had no
+ *     home amount and the running home total after each expense.
+ */
+export function totals(trip, homeAmount) {
+  const result = {
+    travel: Decimal.from(0),
+    home: Decimal.from(0),
+    missing: 0,
+    categories: new Map(),
+    running: [],
+  };
+
+  trip.expenses.forEach((expense) => {
+    const home = homeAmount(expense);
+    const category = result.categories.get(expense.category) ||
+      {travel: Decimal.from(0), home: Decimal.from(0)};
+
+    category.travel = category.travel.plus(expense.amount);
+    result.travel = result.travel.plus(expense.amount);
+    if (home === null) {
+      result.missing++;
+    } else {
+      category.home = category.home.plus(home);
+      result.home = result.home.plus(home);
+    }
+    result.categories.set(expense.category, category);
+    result.running.push(result.home);
+  });
+
+  return result;
+}
+
+/**
+ * Exports the expenses of a trip as CSV, with a header row.
+ * @param {Object} trip The trip.
+ * @param {string} homeCode The 3-letter code of the home currency.
+ * @param {function(Object): ?Decimal} homeAmount Returns what an expense is
+ *     worth in the home currency, or null if there is no rate for it.
+ * @return {string} The CSV text.
+ */
+export function toCsv(trip, homeCode, homeAmount) {
+  const {running} = totals(trip, homeAmount);
+
+  return Csv.toCsv(CSV_COLUMNS, trip.expenses.map((expense, index) => {
+    const home = homeAmount(expense);
+    return [
+      expense.date,
+      expense.category,
+      expense.note,
+      expense.amount,
+      trip.code,
+      home === null ? '' : home.toString(),
+      homeCode,
+      running[index].toString(),
+    ];
+  }));
+}
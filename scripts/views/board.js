@@ -0,0 +1,263 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import ModelEntry from '../model';
+import * as I18n from '../i18n.js';
+
+/**
+ * Main class for the multi-currency board view.
+ */
+export class BoardView {
+  /**
+   * Constructor for the BoardView.
+   * @param {App} app The instance of the main application.
+   * @param {Object} model The model for the application.
+   * @param {Element} screen The container element for this screen.
+   * @param {AnimationHelper} animationHelper Animation helper instance.
+   * @param {Promise.<SelectView>} selectViewPromise Promise for the currency
+   *                                                 selection view.
+   */
+  constructor(app, model, screen, animationHelper, selectViewPromise) {
+    this._app = app;
+    this._model = model;
+    this._screen = screen;
+    this._animationHelper = animationHelper;
+    this._selectViewPromise = selectViewPromise;
+
+    this._list = this._screen.querySelector('.mm-board__list');
+    this._amountBox = this._screen.querySelector('.mm-board__value');
+    const baseButton = this._screen.querySelector('.mm-board__currency');
+    const addButton = this._screen.querySelector('.mm-board__add');
+
+    // Set initial values and listen to model changes.
+    if (this._model.board.amount.value !== null) {
+      this._amountBox.value = this._model.board.amount.value;
+    }
+    this._model.board.codes.listen(() => this._populateBoard());
+    this._model.board.amount.listen(() => this._updateAmounts());
+    this._model.board.code.listen(() => this._updateAmounts());
+    // Rates info is refreshed every time new rates come in.
+    this._model.rates.date.listen(() => this._updateAmounts());
+    this._model.settings.locale.listen(() => this._updateAmounts());
+    this._model.settings.narrowSymbols.listen(() => this._updateAmounts());
+    this._model.language.listen(() => this._populateBoard());
+
+    // Add event listeners.
+    this._amountBox.addEventListener('input', () => {
+      const amount = parseFloat(this._amountBox.value);
+      this._model.board.amount.value = isNaN(amount) ? null : amount;
+    });
+    baseButton.addEventListener('click', () =>
+      this._selectCurrency(baseButton, this._model.board));
+    addButton.addEventListener('click', () => {
+      const entry = {
+        metaText: 'board',
+        code: new ModelEntry(),
+      };
+      entry.code.listen((code) => {
+        if (!this._model.board.codes.value.includes(code)) {
+          this._model.board.codes.value =
+            this._model.board.codes.value.concat([code]);
+        }
+      });
+      this._selectCurrency(addButton, entry);
+    });
+
+    this._populateBoard();
+  }
+
+  /**
+   * Display the board screen.
+   * @param {Element} originScreen The container for the originating screen.
+   */
+  show(originScreen) {
+    this._originScreen = originScreen;
+
+    this._animationHelper.fadingAnimation(this._originScreen, this._screen);
+    this._app.setAppTitle(BoardView.TITLE);
+  }
+
+  /**
+   * The title displayed in the toolbar while the board is visible.
+   */
+  static get TITLE() {
+    return I18n.t('board.title');
+  }
+
+  /**
+   * Open the currency selection screen for one of the board's currencies.
+   * @param {Element} originElement The hero element for the transition.
+   * @param {Object} currency The model subtree for the currency being selected.
+   */
+  _selectCurrency(originElement, currency) {
+    this._selectViewPromise.then((view) => {
+      view.show(this._screen, originElement, currency, BoardView.TITLE);
+      history.pushState({
+        page: 'select',
+        currency: currency.metaText,
+      }, I18n.t('select.title', {currency: currency.metaText}));
+    });
+  }
+
+  /**
+   * Replace the currency at the given position in the board.
+   * @param {number} index The position of the currency in the board.
+   * @param {string} code The 3-letter code for the new currency.
+   */
+  _replaceCurrency(index, code) {
+    const codes = this._model.board.codes.value.slice();
+    const existing = codes.indexOf(code);
+
+    if (existing === -1) {
+      codes[index] = code;
+    } else if (existing !== index) {
+      // The currency is already on the board; swap them around instead.
+      codes[existing] = codes[index];
+      codes[index] = code;
+    }
+    this._model.board.codes.value = codes;
+  }
+
+  /**
+   * Move a currency up or down in the board.
+   * @param {number} index The position of the currency in the board.
+   * @param {number} offset The number of positions to move it by.
+   */
+  _moveCurrency(index, offset) {
+    const codes = this._model.board.codes.value.slice();
+    const target = index + offset;
+
+    if (target >= 0 && target < codes.length) {
+      [codes[index], codes[target]] = [codes[target], codes[index]];
+      this._model.board.codes.value = codes;
+    }
+  }
+
+  /**
+   * Remove a currency from the board.
+   * @param {number} index The position of the currency in the board.
+   */
+  _removeCurrency(index) {
+    const codes = this._model.board.codes.value.slice();
+    codes.splice(index, 1);
+    this._model.board.codes.value = codes;
+  }
+
+  /**
+   * Populate the list with the currencies on the board.
+   */
+  _populateBoard() {
+    const codes = this._model.board.codes.value || [];
+
+    // Clear current set of currencies.
+    while (this._list.firstChild) {
+      this._list.removeChild(this._list.firstChild);
+    }
+
+    this._screen.classList.toggle('mm-board--empty', codes.length === 0);
+
+    // Populate with new set of currencies.
+    codes.forEach((code, index) => {
+      const details = this._model.currencies.value.get(code);
+      if (!details) {
+        return;
+      }
+      const currencyName = I18n.currencyName(code, details.name);
+
+      const li = document.createElement('li');
+      li.classList.add('mm-board__item', 'mdc-list-item');
+      li.dataset.currency = code;
+
+      const symbol = document.createElement('button');
+      symbol.classList.add('mm-board__item-symbol', 'mm-animation--circle',
+        'mdc-list-item__graphic');
+      symbol.setAttribute('aria-label',
+        I18n.t('board.change', {name: currencyName}));
+      symbol.textContent = details.symbol;
+      li.appendChild(symbol);
+
+      const text = document.createElement('span');
+      text.classList.add('mm-board__item-text');
+      const amount = document.createElement('span');
+      amount.classList.add('mm-board__item-amount');
+      text.appendChild(amount);
+      const name = document.createElement('span');
+      name.classList.add('mm-board__item-name');
+      name.textContent = `${currencyName} (${code})`;
+      text.appendChild(name);
+      li.appendChild(text);
+
+      li.appendChild(this._createAction('images/ic_arrow_upward.svg',
+        I18n.t('board.moveUp'), index === 0,
+        () => this._moveCurrency(index, -1)));
+      li.appendChild(this._createAction('images/ic_arrow_downward.svg',
+        I18n.t('board.moveDown'), index === codes.length - 1,
+        () => this._moveCurrency(index, 1)));
+      li.appendChild(this._createAction('images/ic_close.svg',
+        I18n.t('board.remove'), false, () => this._removeCurrency(index)));
+
+      symbol.addEventListener('click', () => {
+        const entry = {
+          metaText: 'board',
+          code: new ModelEntry(null, code),
+        };
+        entry.code.listen((newCode) => this._replaceCurrency(index, newCode));
+        this._selectCurrency(symbol, entry);
+      });
+
+      this._list.appendChild(li);
+    });
+
+    this._updateAmounts();
+  }
+
+  /**
+   * Create an action button for a board entry.
+   * @param {string} icon The URL of the icon image to use. Spelled out in
+   *     full, so that the build can point it at the revisioned image.
+   * @param {string} label The accessible label for the button.
+   * @param {boolean} disabled Whether the button starts disabled.
+   * @param {function} handler The click handler for the button.
+   * @return {Element} The created button.
+   */
+  _createAction(icon, label, disabled, handler) {
+    const button = document.createElement('button');
+    button.classList.add('mm-board__item-action');
+    button.setAttribute('aria-label', label);
+    button.disabled = disabled;
+    const img = document.createElement('img');
+    img.alt = label;
+    img.src = icon;
+    button.appendChild(img);
+    button.addEventListener('click', handler);
+    return button;
+  }
+
+  /**
+   * Update the converted amounts for all the currencies on the board.
+   */
+  _updateAmounts() {
+    const amount = this._model.board.amount.value;
+    const base = this._model.board.code.value;
+    const value = amount || amount === 0 ? amount : 1;
+
+    this._list.querySelectorAll('.mm-board__item').forEach((item) => {
+      const converted = this._app.convert(value, base, item.dataset.currency);
+      item.querySelector('.mm-board__item-amount').textContent =
+        converted === null ? I18n.t('rates.unavailableShort') : converted;
+      item.classList.toggle('mm-board__item--unavailable', converted === null);
+    });
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as Conversions from '../conversions.js';
+import {downloadFile} from '../download.js';
+import * as Format from '../format.js';
+import * as I18n from '../i18n.js';
+
+/**
+ * Main class for the conversion history view.
+ */
+export class HistoryView {
+  /**
+   * Constructor for the HistoryView.
+   * @param {App} app The instance of the main application.
+   * @param {Object} model The model for the application.
+   * @param {Element} screen The container element for this screen.
+   * @param {AnimationHelper} animationHelper Animation helper instance.
+   */
+  constructor(app, model, screen, animationHelper) {
+    this._app = app;
+    this._model = model;
+    this._screen = screen;
+    this._animationHelper = animationHelper;
+
+    this._list = this._screen.querySelector('.mm-history__list');
+    this._empty = this._screen.querySelector('.mm-history__empty');
+    this._query = this._screen.querySelector('.mm-history__query');
+    this._ids = null;
+
+    // Listen to model changes.
+    this._model.conversions.listen(() => this._populateHistory());
+    this._model.settings.logConversions.listen(() => this._filterHistory());
+    this._model.settings.locale.listen(() => this._populateHistory(true));
+    this._model.settings.narrowSymbols.listen(() =>
+      this._populateHistory(true));
+    this._model.language.listen(() => this._populateHistory(true));
+
+    // Add event listeners.
+    this._query.addEventListener('input', () => this._filterHistory());
+    this._screen.querySelector('.mm-history__export-csv').addEventListener(
+      'click', () => this._download(Conversions.toCsv(this._shown()),
+        'text/csv', 'csv'));
+    this._screen.querySelector('.mm-history__export-json').addEventListener(
+      'click', () => this._download(Conversions.toJson(this._shown()),
+        'application/json', 'json'));
+
+    this._populateHistory();
+  }
+
+  /**
+   * Display the conversion history screen.
+   * @param {Element} originScreen The container for the originating screen.
+   */
+  show(originScreen) {
+    this._originScreen = originScreen;
+
+    this._animationHelper.fadingAnimation(this._originScreen, this._screen);
+    this._app.setAppTitle(HistoryView.TITLE);
+  }
+
+  /**
+   * The title displayed in the toolbar while the history is visible.
+   */
+  static get TITLE() {
+    return I18n.t('history.title');
+  }
+
+  /**
+   * Formats an amount from the history in its currency.
+   * @param {string} amount The amount, as a decimal string.
+   * @param {string} code The 3-letter code for the currency.
+   * @return {string} The formatted amount.
+   */
+  _formatAmount(amount, code) {
+    const details = this._model.currencies.value.get(code);
+    return Format.formatCurrency(amount, code,
+      details && 'minorUnits' in details ? details.minorUnits : 2);
+  }
+
+  /**
+   * Populate the list with the conversions in the history.
+   * The list is only rebuilt when conversions come or go, so that editing a
+   * note doesn't lose focus.
+   * @param {boolean} force Whether to rebuild the list regardless.
+   */
+  _populateHistory(force = false) {
+    const conversions = this._model.conversions.value || [];
+    const ids = conversions.map((conversion) => conversion.id).join(',');
+
+    if (!force && ids === this._ids) {
+      this._filterHistory();
+      return;
+    }
+    this._ids = ids;
+
+    // Clear current set of conversions.
+    while (this._list.firstChild) {
+      this._list.removeChild(this._list.firstChild);
+    }
+
+    // Populate with new set of conversions.
+    conversions.forEach((conversion) => {
+      const li = document.createElement('li');
+      li.classList.add('mm-history__item', 'mdc-list-item');
+      li.dataset.id = conversion.id;
+
+      const text = document.createElement('span');
+      text.classList.add('mm-history__item-text');
+      const amounts = document.createElement('span');
+      amounts.classList.add('mm-history__item-amounts');
+      amounts.textContent = I18n.t('history.amounts', {
+        from: this._formatAmount(conversion.fromAmount, conversion.from),
+        to: this._formatAmount(conversion.toAmount, conversion.to),
+      });
+      text.appendChild(amounts);
+      const details = document.createElement('span');
+      details.classList.add('mm-history__item-details');
+      details.textContent = I18n.t(conversion.rateDate ?
+        'history.details' : 'history.detailsCustom', {
+        rate: Format.formatRate(conversion.rate),
+        from: conversion.from,
+        to: conversion.to,
+        date: conversion.rateDate,
+        time: new Date(conversion.time).toLocaleString(),
+      });
+      text.appendChild(details);
+      const note = document.createElement('input');
+      note.type = 'text';
+      note.classList.add('mm-history__item-note');
+      note.placeholder = I18n.t('history.note');
+      note.setAttribute('aria-label', I18n.t('history.note'));
+      note.value = conversion.note;
+      note.addEventListener('change', () =>
+        this._updateNote(conversion.id, note.value.trim()));
+      text.appendChild(note);
+      li.appendChild(text);
+
+      const remove = document.createElement('button');
+      remove.classList.add('mm-history__item-action');
+      remove.setAttribute('aria-label', I18n.t('history.remove'));
+      const img = document.createElement('img');
+      img.alt = I18n.t('history.remove');
+      img.src = 'images/ic_close.svg';
+      remove.appendChild(img);
+      remove.addEventListener('click', () =>
+        this._removeConversion(conversion.id));
+      li.appendChild(remove);
+
+      li.dataset.search = [amounts.textContent, details.textContent].join(' ');
+      this._list.appendChild(li);
+    });
+
+    this._filterHistory();
+  }
+
+  /**
+   * Hide the conversions that don't match the search, and explain why the
+   * list is empty if it is.
+   */
+  _filterHistory() {
+    const conversions = this._model.conversions.value || [];
+    const query = this._query.value.trim();
+    let shown = 0;
+
+    this._list.querySelectorAll('.mm-history__item').forEach((li) => {
+      const conversion =
+        conversions.find((existing) => existing.id === li.dataset.id);
+      li.hidden = Boolean(query) && !(conversion &&
+        Conversions.matchesConversion(conversion, query, li.dataset.search));
+      shown += li.hidden ? 0 : 1;
+    });
+
+    let empty = null;
+    if (!conversions.length) {
+      empty = this._model.settings.logConversions.value ?
+        'history.empty' : 'history.disabled';
+    } else if (!shown) {
+      empty = 'history.noMatches';
+    }
+    this._empty.textContent = empty ? I18n.t(empty) : '';
+    this._screen.classList.toggle('mm-history--empty', empty !== null);
+  }
+
+  /**
+   * Returns the conversions currently shown, i.e. those matching the search.
+   * @return {Array.<Object>} The conversions.
+   */
+  _shown() {
+    const query = this._query.value.trim();
+    const texts = new Map();
+    this._list.querySelectorAll('.mm-history__item').forEach((li) =>
+      texts.set(li.dataset.id, li.dataset.search));
+
+    return (this._model.conversions.value || []).filter((conversion) =>
+      !query || Conversions.matchesConversion(conversion, query,
+        texts.get(conversion.id)));
+  }
+
+  /**
+   * Change the note on a conversion.
+   * @param {string} id The id of the conversion.
+   * @param {string} note The new note.
+   */
+  _updateNote(id, note) {
+    // Replace the conversion rather than changing it, so that it gets saved.
+    this._model.conversions.value = this._model.conversions.value.map(
+      (conversion) => conversion.id === id ?
+        Object.assign({}, conversion, {note}) : conversion);
+  }
+
+  /**
+   * Remove a conversion from the history.
+   * @param {string} id The id of the conversion.
+   */
+  _removeConversion(id) {
+    this._model.conversions.value = this._model.conversions.value.filter(
+      (conversion) => conversion.id !== id);
+  }
+
+  /**
+   * Save a file with the exported conversions.
+   * @param {string} text The contents of the file.
+   * @param {string} type The MIME type of the file.
+   * @param {string} extension The file name extension, e.g. 'csv'.
+   */
+  _download(text, type, extension) {
+    const today = new Date().toISOString().split('T', 1)[0];
+    downloadFile(text, type, `conversions-${today}.${extension}`);
+  }
+}
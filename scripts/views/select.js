@@ -16,6 +16,10 @@
 import {
   wait,
 } from '../promise-utils';
+import {
+  fuzzyMatch,
+} from '../search';
+import * as I18n from '../i18n.js';
 
 /**
  * Main class for the currency selection view.
@@ -33,7 +37,26 @@ export class SelectView {
     this._model = model;
     this._screen = screen;
     this._animationHelper = animationHelper;
+    this._search = screen.querySelector('.mm-select__search-input');
+    this._modeButton = screen.querySelector('.mm-select__mode');
+    this._byCountry = false;
+    this._countryNames = new Map();
+    this._currencyCountries = this._getCurrencyCountries();
     this._populateSelection();
+    this._setupSearch();
+
+    this._model.select.favourites.listen(() => this._populatePinned());
+    this._model.language.listen(() => this._translate());
+
+    // Browsing by country needs the country names, so wait for them.
+    this._modeButton.disabled = true;
+    this._modeButton.addEventListener('click',
+      () => this._setCountryMode(!this._byCountry));
+    this._app.fetchCountries().then((countries) => {
+      this._countryNames = this._getCountryNames(countries);
+      this._populateCountries(countries);
+      this._modeButton.disabled = false;
+    });
   }
 
   /**
@@ -41,12 +64,19 @@ export class SelectView {
    * @param {Element} originScreen The container for the originating screen.
    * @param {Element} originElement The hero element for the transition.
    * @param {Object} currency The model subtree for the currency being selected.
+   * @param {string} originTitle The app title for the originating screen.
+   *                             Null means home.
    */
-  show(originScreen, originElement, currency) {
+  show(originScreen, originElement, currency, originTitle = null) {
     this._originScreen = originScreen;
     this._originElement = originElement;
     this._currency = currency;
+    this._originTitle = originTitle;
+    this._populatePinned();
     this._setSelectedCurrency(currency.code.value);
+    this._flagUnavailableCurrencies();
+    this._search.value = '';
+    this._filter('');
 
     this._animationHelper.scalingAnimation({
       startEl: this._originElement,
@@ -55,7 +85,13 @@ export class SelectView {
       targetScreen: this._screen,
       transparentBg: true,
     });
-    this._app.setAppTitle(`Select ${currency.metaText} currency`);
+    this._app.setAppTitle(
+      I18n.t('select.title', {currency: currency.metaText}));
+
+    // Don't bring up on-screen keyboards over the list.
+    if (window.matchMedia('(pointer: fine)').matches) {
+      this._search.focus();
+    }
   }
 
   /**
@@ -63,13 +99,49 @@ export class SelectView {
    * @param {String} code The 3-letter code for the currency.
    */
   _setSelectedCurrency(code) {
-    let list = document.querySelector('.mm-select__list');
-    let entries = list.querySelectorAll('.mm-select__item');
+    let entries = this._screen.querySelectorAll('.mm-select__item');
 
     entries.forEach((entry) => entry.classList.toggle('mm-select--selected',
       entry.dataset.currency === code));
   }
 
+  /**
+   * Grey out the currencies in the list that have no rate.
+   * When picking the home or travel currency, a custom rate against the other
+   * one counts as a rate.
+   */
+  _flagUnavailableCurrencies() {
+    let entries = this._screen.querySelectorAll('.mm-select__item');
+    let other = null;
+    if (this._currency === this._model.home) {
+      other = this._model.travel.code.value;
+    } else if (this._currency === this._model.travel) {
+      other = this._model.home.code.value;
+    }
+
+    entries.forEach((entry) => {
+      const unavailable =
+        !this._app.isRateAvailable(entry.dataset.currency, other);
+      entry.classList.toggle('mm-select--unavailable', unavailable);
+      entry.querySelector('.mm-select__item-status').textContent =
+        unavailable ? I18n.t('rates.unavailableShort') : '';
+    });
+  }
+
+  /**
+   * Show the lists again in the current language.
+   */
+  _translate() {
+    this._populateSelection();
+    this._populatePinned();
+    this._setCountryMode(this._byCountry);
+    this._app.fetchCountries().then((countries) => {
+      this._countryNames = this._getCountryNames(countries);
+      this._populateCountries(countries);
+      this._filter(this._search.value);
+    });
+  }
+
   /**
    * Populate the list with all the currencies in the model.
    */
@@ -82,46 +154,506 @@ export class SelectView {
     }
 
     // Populate with new set of currencies.
-    for (let [code, details] of this._model.currencies.value) {
-      let li = document.createElement('li');
-      li.classList.add('mm-select__item', 'mdc-list-item');
-      li.dataset.currency = code;
-      let symbol = document.createElement('span');
-      symbol.classList.add('mm-select__item-symbol', 'mm-animation--circle',
-        'mdc-list-item__graphic');
-      symbol.textContent = details.symbol;
-      li.appendChild(symbol);
-      let name = document.createElement('name');
-      name.classList.add('mm-select__item-name');
-      name.textContent = details.name;
-      li.appendChild(name);
-
-      li.addEventListener('click', () => {
-        this._setSelectedCurrency(code);
-        this._currency.code.value = code;
-
-        wait(250).then(() => {
-          this._animationHelper.scalingAnimation({
-            startEl: symbol,
-            targetEl: this._originElement,
-            startScreen: this._screen,
-            targetScreen: this._originScreen,
-            transparentBg: true,
-            fadeStartScreen: true,
-            hideTarget: true,
-            heroText: false,
-          });
-
-          if ('history' in window) {
-            this._app.transitioning = true;
-            history.back();
+    for (let code of this._model.currencies.value.keys()) {
+      list.appendChild(this._createItem(code));
+    }
+  }
+
+  /**
+   * Populate the favourite and recently used currencies, above the full list.
+   * Favourites aren't repeated as recent ones.
+   */
+  _populatePinned() {
+    const {favourites, recent} = this._model.select;
+    const currencies = this._model.currencies.value;
+    const pinned = {
+      favourites: (favourites.value || []).filter(
+        (code) => currencies.has(code)),
+      recent: (recent.value || []).filter((code) => currencies.has(code) &&
+        !(favourites.value || []).includes(code)),
+    };
+
+    for (let group of Object.keys(pinned)) {
+      let list = this._screen.querySelector(`.mm-select__${group}`);
+      while (list.firstChild) {
+        list.removeChild(list.firstChild);
+      }
+      pinned[group].forEach((code) => list.appendChild(this._createItem(code)));
+      this._screen.classList.toggle(`mm-select--has-${group}`,
+        pinned[group].length > 0);
+    }
+
+    this._updateFavourites();
+    if (this._currency) {
+      this._setSelectedCurrency(this._currency.code.value);
+      this._flagUnavailableCurrencies();
+    }
+  }
+
+  /**
+   * Returns a new list item for a currency.
+   * @param {string} code The 3-letter code for the currency.
+   * @param {?string} country The 2-letter code for a country using the
+   *                          currency, to list it by country rather than by
+   *                          currency.
+   * @return {Element} The list item.
+   */
+  _createItem(code, country = null) {
+    const details = this._model.currencies.value.get(code);
+    const texts = this._itemTexts(code, country);
+
+    let li = document.createElement('li');
+    li.classList.add('mm-select__item', 'mdc-list-item');
+    li.dataset.currency = code;
+    if (country) {
+      li.dataset.country = country;
+    }
+    let symbol = document.createElement('span');
+    symbol.classList.add('mm-select__item-symbol', 'mm-animation--circle',
+      'mdc-list-item__graphic');
+    symbol.textContent = details.symbol;
+    li.appendChild(symbol);
+    let text = document.createElement('span');
+    text.classList.add('mm-select__item-text', 'mdc-list-item__text');
+    let name = document.createElement('span');
+    name.classList.add('mm-select__item-name');
+    name.textContent = texts.name;
+    text.appendChild(name);
+    let detail = document.createElement('span');
+    detail.classList.add('mm-select__item-detail',
+      'mdc-list-item__secondary-text');
+    detail.textContent = texts.detail;
+    text.appendChild(detail);
+    li.appendChild(text);
+    let status = document.createElement('span');
+    status.classList.add('mm-select__item-status');
+    li.appendChild(status);
+
+    li.addEventListener('click', () => this._selectCurrency(li));
+
+    // Favourites are currencies, so only offer them when listing currencies.
+    if (!country) {
+      let favourite = document.createElement('button');
+      favourite.classList.add('mm-select__item-favourite',
+        'mdc-list-item__meta');
+      favourite.appendChild(document.createElement('img'));
+      li.appendChild(favourite);
+      favourite.addEventListener('click', (event) => {
+        // Starring a currency shouldn't select it.
+        event.stopPropagation();
+        this._toggleFavourite(code);
+      });
+    }
+
+    return li;
+  }
+
+  /**
+   * Returns the text to show for a currency in the list.
+   * @param {string} code The 3-letter code for the currency.
+   * @param {?string} country The 2-letter code for the country it is listed
+   *                          under, if any.
+   * @return {{name: string, detail: string}} The main and secondary text.
+   */
+  _itemTexts(code, country) {
+    const details = this._model.currencies.value.get(code);
+    const name = I18n.currencyName(code, details.name);
+
+    if (!country) {
+      return {name, detail: code};
+    }
+    return {
+      name: this._countryNames.get(country)[0],
+      detail: `${code} \u00b7 ${name}`,
+    };
+  }
+
+  /**
+   * Populate the list of countries, grouped by continent, with the currencies
+   * used in each. Countries sharing a currency are listed individually, and
+   * countries with several currencies are listed once for each.
+   * @param {Object.<string, {name: string, continent: string}>} countries The
+   *     country names and continents, keyed by 2-letter country code.
+   */
+  _populateCountries(countries) {
+    let container = this._screen.querySelector('.mm-select__countries');
+    const mapping = this._app.getCountryCurrencies();
+    const continents = new Map();
+    const currenciesFor = (country) => mapping[country].filter(
+      (code) => this._model.currencies.value.has(code));
+
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+
+    Object.keys(mapping)
+      .filter((country) => countries[country] && currenciesFor(country).length)
+      .sort((a, b) => this._countryNames.get(a)[0].localeCompare(
+        this._countryNames.get(b)[0], I18n.getLanguage()))
+      .forEach((country) => {
+        const continent = countries[country].continent;
+        continents.set(continent,
+          (continents.get(continent) || []).concat(country));
+      });
+
+    for (let continent of Array.from(continents.keys()).sort()) {
+      let group = document.createElement('div');
+      group.classList.add('mm-select__continent');
+      let heading = document.createElement('h3');
+      heading.classList.add('mm-select__continent-name',
+        'mdc-list-group__subheader');
+      heading.textContent = I18n.t('select.continent', {continent});
+      group.appendChild(heading);
+      let list = document.createElement('ul');
+      list.classList.add('mm-select__country-list', 'mdc-list',
+        'mdc-list--non-interactive', 'mdc-list--avatar-list',
+        'mdc-list--theme-dark');
+      for (let country of continents.get(continent)) {
+        currenciesFor(country).forEach(
+          (code) => list.appendChild(this._createItem(code, country)));
+      }
+      group.appendChild(list);
+      container.appendChild(group);
+    }
+
+    if (this._currency) {
+      this._setSelectedCurrency(this._currency.code.value);
+      this._flagUnavailableCurrencies();
+    }
+  }
+
+  /**
+   * Switch between browsing by currency and browsing by country.
+   * @param {boolean} byCountry Whether to browse by country.
+   */
+  _setCountryMode(byCountry) {
+    const label =
+      I18n.t(byCountry ? 'select.byCurrency' : 'select.byCountry');
+
+    this._byCountry = byCountry;
+    this._screen.classList.toggle('mm-select--by-country', byCountry);
+    this._modeButton.querySelector('img').src = byCountry ?
+      'images/ic_list.svg' : 'images/ic_public.svg';
+    this._modeButton.setAttribute('aria-label', label);
+    this._modeButton.title = label;
+    this._filter(this._search.value);
+  }
+
+  /**
+   * Star or unstar a currency as a favourite.
+   * @param {string} code The 3-letter code for the currency.
+   */
+  _toggleFavourite(code) {
+    const favourites = this._model.select.favourites.value || [];
+
+    this._model.select.favourites.value = favourites.includes(code) ?
+      favourites.filter((existing) => existing !== code) :
+      favourites.concat(code);
+  }
+
+  /**
+   * Show which currencies are starred as favourites.
+   */
+  _updateFavourites() {
+    const favourites = this._model.select.favourites.value || [];
+    let buttons = this._screen.querySelectorAll('.mm-select__item-favourite');
+
+    buttons.forEach((button) => {
+      const entry = button.closest('.mm-select__item');
+      const favourite = favourites.includes(entry.dataset.currency);
+      entry.classList.toggle('mm-select--favourite', favourite);
+      const label = I18n.t(favourite ?
+        'select.removeFavourite' : 'select.addFavourite');
+      const img = button.querySelector('img');
+      img.src = favourite ?
+        'images/ic_star.svg' : 'images/ic_star_border.svg';
+      img.alt = label;
+      button.setAttribute('aria-label', label);
+    });
+  }
+
+  /**
+   * Select a currency from the list, and return to the originating screen.
+   * @param {Element} item The list item for the currency.
+   */
+  _selectCurrency(item) {
+    const code = item.dataset.currency;
+    this._setSelectedCurrency(code);
+    this._currency.code.value = code;
+    this._search.blur();
+
+    wait(250).then(() => {
+      this._animationHelper.scalingAnimation({
+        startEl: item.querySelector('.mm-select__item-symbol'),
+        targetEl: this._originElement,
+        startScreen: this._screen,
+        targetScreen: this._originScreen,
+        transparentBg: true,
+        fadeStartScreen: true,
+        hideTarget: true,
+        heroText: false,
+      });
+
+      if ('history' in window) {
+        this._app.transitioning = true;
+        history.back();
+      }
+
+      this._app.setAppTitle(this._originTitle);
+    });
+  }
+
+  /**
+   * Returns the countries using each currency.
+   * @return {Map.<string, Array.<string>>} The 2-letter country codes, keyed
+   *                                        by 3-letter currency code.
+   */
+  _getCurrencyCountries() {
+    const currencyCountries = new Map();
+    const mapping = this._app.getCountryCurrencies();
+
+    for (let country of Object.keys(mapping)) {
+      for (let code of mapping[country]) {
+        currencyCountries.set(code,
+          (currencyCountries.get(code) || []).concat(country));
+      }
+    }
+    return currencyCountries;
+  }
+
+  /**
+   * Returns the names of each country, in the app's language and in English
+   * if it's different, so that either can be searched for.
+   * @param {Object.<string, {name: string, continent: string}>} countries The
+   *     country names and continents, keyed by 2-letter country code.
+   * @return {Map.<string, Array.<string>>} The country names, the one to show
+   *                                        first, keyed by 2-letter country
+   *                                        code.
+   */
+  _getCountryNames(countries) {
+    const names = new Map();
+
+    for (let country of Object.keys(countries)) {
+      const english = countries[country].name;
+      const localName = I18n.countryName(country, english);
+      names.set(country,
+        [localName].concat(localName !== english ? english : []));
+    }
+    return names;
+  }
+
+  /**
+   * Set up filtering the list as the user types in the search field, and
+   * picking results with the keyboard.
+   */
+  _setupSearch() {
+    this._search.addEventListener('input',
+      () => this._filter(this._search.value));
+
+    this._search.addEventListener('keydown', (event) => {
+      const list = this._byCountry ? '.mm-select__countries' :
+        '.mm-select__list';
+      const items = Array.from(this._screen.querySelectorAll(
+        `${list} .mm-select__item:not(.mm-select--hidden)`));
+      const active = this._screen.querySelector('.mm-select--active');
+      const index = items.indexOf(active);
+
+      switch (event.key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+          event.preventDefault();
+          const step = event.key === 'ArrowDown' ? 1 : -1;
+          const next = items[Math.min(Math.max(index + step, 0),
+            items.length - 1)];
+          this._setActiveItem(next);
+          if (next) {
+            next.scrollIntoView({block: 'nearest'});
+          }
+          break;
+        }
+        case 'Enter':
+          event.preventDefault();
+          if (active) {
+            this._selectCurrency(active);
           }
+          break;
+      }
+    });
+  }
 
-          this._app.setAppTitle();
+  /**
+   * Mark the list item that the keyboard will select.
+   * @param {?Element} item The list item, or null for none.
+   */
+  _setActiveItem(item) {
+    this._screen.querySelectorAll('.mm-select__item').forEach((entry) =>
+      entry.classList.toggle('mm-select--active', entry === item));
+  }
+
+  /**
+   * Filter the currencies or countries by how well they match a search
+   * query, highlighting the matches.
+   * Typos are tolerated, so "pund" still finds the British Pound.
+   * @param {string} query The search query. Empty shows everything.
+   */
+  _filter(query) {
+    const terms = query.trim();
+    const top = this._byCountry ? this._filterCountries(terms) :
+      this._filterCurrencies(terms);
+
+    // Only the full list is searched, so hide the pinned currencies.
+    this._screen.classList.toggle('mm-select--searching', Boolean(terms));
+    this._screen.classList.toggle('mm-select--no-results', !top);
+    this._setActiveItem(terms ? top : null);
+  }
+
+  /**
+   * Filter and sort the list of currencies by how well they match a search.
+   * @param {string} terms The search terms. Empty shows all currencies.
+   * @return {?Element} The best matching list item, or null if none match.
+   */
+  _filterCurrencies(terms) {
+    let list = this._screen.querySelector('.mm-select__list');
+    let results = [];
+    let index = 0;
+
+    for (let [code, details] of this._model.currencies.value) {
+      const entry = list.querySelector(`[data-currency="${code}"]`);
+      const countries = this._currencyCountries.get(code) || [];
+      const localName = I18n.currencyName(code, details.name);
+      // The English name can be searched for too.
+      const englishName = localName !== details.name ?
+        [{field: 'name', text: details.name, weight: 0.9}] : [];
+      // Rank matches in the currency itself above those in country names.
+      const result = this._bestMatch(terms, [
+        {field: 'code', text: code, weight: 1},
+        {field: 'name', text: localName, weight: 1},
+        {field: 'symbol', text: details.symbol, weight: 0.9},
+      ].concat(englishName, ...countries.map((country) =>
+        (this._countryNames.get(country) || []).map(
+          (name) => ({field: 'country', text: name, weight: 0.8})))));
+      results.push(Object.assign(result, {entry, code, localName, index}));
+      index++;
+    }
+
+    // Keep the original order for currencies that match equally well.
+    results.sort((a, b) => (b.score - a.score) || (a.index - b.index));
+    results.forEach((result) => {
+      const {entry, code, localName, field, text, match} = result;
+      const name = entry.querySelector('.mm-select__item-name');
+      const detail = entry.querySelector('.mm-select__item-detail');
+
+      // Show the English name if that's what matched.
+      this._highlight(name, field === 'name' ? text : localName,
+        field === 'name' ? match : null);
+      if (field === 'country') {
+        this._highlight(detail, `${code} \u00b7 ${text}`, {
+          start: match.start + code.length + 3,
+          end: match.end + code.length + 3,
         });
-      });
+      } else {
+        this._highlight(detail, code, field === 'code' ? match : null);
+      }
+      entry.classList.toggle('mm-select--hidden', !result.score);
+      list.appendChild(entry);
+    });
+
+    return results.length && results[0].score ? results[0].entry : null;
+  }
+
+  /**
+   * Filter the countries by how well they match a search, keeping them
+   * grouped by continent.
+   * @param {string} terms The search terms. Empty shows all countries.
+   * @return {?Element} The best matching list item, or null if none match.
+   */
+  _filterCountries(terms) {
+    let container = this._screen.querySelector('.mm-select__countries');
+    let top = null;
 
-      list.appendChild(li);
+    container.querySelectorAll('.mm-select__item').forEach((entry) => {
+      const {country, currency: code} = entry.dataset;
+      const [name, ...otherNames] = this._countryNames.get(country);
+      const details = this._model.currencies.value.get(code);
+      const result = this._bestMatch(terms, [
+        {field: 'name', text: name, weight: 1},
+        {field: 'country', text: country, weight: 0.9},
+        {field: 'code', text: code, weight: 0.8},
+        {field: 'currency', text: I18n.currencyName(code, details.name),
+          weight: 0.7},
+      ].concat(otherNames.map(
+        (text) => ({field: 'other', text, weight: 0.9}))));
+      const {field, text, match} = result;
+      const texts = this._itemTexts(code, country);
+
+      // Show the name in English if that's what matched.
+      this._highlight(entry.querySelector('.mm-select__item-name'),
+        field === 'other' ? text : texts.name,
+        field === 'name' || field === 'other' ? match : null);
+      this._highlight(entry.querySelector('.mm-select__item-detail'),
+        texts.detail, field === 'code' ? match : field === 'currency' ? {
+          start: match.start + code.length + 3,
+          end: match.end + code.length + 3,
+        } : null);
+      entry.classList.toggle('mm-select--hidden', !result.score);
+
+      if (result.score && (!top || result.score > top.score)) {
+        top = {entry, score: result.score};
+      }
+    });
+
+    // Hide continents without any matches.
+    container.querySelectorAll('.mm-select__continent').forEach((group) =>
+      group.classList.toggle('mm-select--hidden', !group.querySelector(
+        '.mm-select__item:not(.mm-select--hidden)')));
+
+    return top && top.entry;
+  }
+
+  /**
+   * Returns the best match for search terms among some fields.
+   * @param {string} terms The search terms. Empty matches everything.
+   * @param {Array.<{field: string, text: string, weight: number}>} fields
+   *     The fields to search, with how much a match in each one counts.
+   * @return {{score: number, field: ?string, text: ?string, match: ?Object}}
+   *     The best match, with a score of 0 if nothing matched.
+   */
+  _bestMatch(terms, fields) {
+    let best = {score: terms ? 0 : 1, field: null, text: null, match: null};
+
+    if (terms) {
+      for (let {field, text, weight} of fields) {
+        const match = fuzzyMatch(terms, text);
+        if (match && match.score * weight > best.score) {
+          best = {score: match.score * weight, field, text, match};
+        }
+      }
     }
+    return best;
+  }
+
+  /**
+   * Set the text of an element, highlighting part of it.
+   * @param {Element} element The element to update.
+   * @param {string} text The text to show.
+   * @param {?{start: number, end: number}} range The part of the text to
+   *     highlight, or null for none.
+   */
+  _highlight(element, text, range) {
+    while (element.firstChild) {
+      element.removeChild(element.firstChild);
+    }
+
+    if (!range) {
+      element.textContent = text;
+      return;
+    }
+
+    let mark = document.createElement('mark');
+    mark.classList.add('mm-select__match');
+    mark.textContent = text.slice(range.start, range.end);
+    element.appendChild(document.createTextNode(text.slice(0, range.start)));
+    element.appendChild(mark);
+    element.appendChild(document.createTextNode(text.slice(range.end)));
   }
 }
@@ -17,6 +17,15 @@ import {
   MDCTextField,
 } from '@material/textfield';
 
+import * as Format from '../format.js';
+import * as Fees from '../fees.js';
+import * as Alerts from '../alerts.js';
+import * as Providers from '../providers.js';
+import * as I18n from '../i18n.js';
+
+// Amount used to illustrate the chosen number format.
+const FORMAT_EXAMPLE = 1234.5;
+
 /**
  * Main class for the settings view.
  */
@@ -35,46 +44,677 @@ export class SettingsView {
     this._animationHelper = animationHelper;
 
     const geoControl = this._screen.querySelector('#mm-settings-geo');
+    const refineControl =
+      this._screen.querySelector('#mm-settings-geo-refine');
+    const watchControl = this._screen.querySelector('#mm-settings-geo-watch');
     const notifyControl = this._screen.querySelector('#mm-settings-notify');
+    const localeControl = this._screen.querySelector('#mm-settings-locale');
+    const languageControl =
+      this._screen.querySelector('#mm-settings-language');
+    const narrowControl = this._screen.querySelector('#mm-settings-narrow');
+    const denominationsControl =
+      this._screen.querySelector('#mm-settings-denominations');
+    const conversionsControl =
+      this._screen.querySelector('#mm-settings-conversions');
+    const historyControl = this._screen.querySelector('#mm-settings-history');
+    const refreshControl = this._screen.querySelector('#mm-settings-refresh');
 
     // Set initial values and listen to model changes.
     geoControl.checked = this._model.geo.enabled.value;
     notifyControl.checked = this._model.settings.notify.value;
     this._model.geo.enabled.listen((value) => (geoControl.checked = value));
+    refineControl.checked = this._model.geo.refine.value;
+    this._model.geo.refine.listen((value) => (refineControl.checked = value));
+    watchControl.checked = this._model.geo.watch.value;
+    this._model.geo.watch.listen((value) => (watchControl.checked = value));
     this._model.settings.notify.listen((value) => {
       notifyControl.checked = value;
     });
+    localeControl.value = this._model.settings.locale.value || '';
+    languageControl.value = this._model.settings.language.value || '';
+    this._model.settings.language.listen((value) => {
+      languageControl.value = value || '';
+    });
+    narrowControl.checked = this._model.settings.narrowSymbols.value;
+    this._model.settings.locale.listen((value) => {
+      localeControl.value = value || '';
+      this._updateFormatExample();
+    });
+    this._model.settings.narrowSymbols.listen((value) => {
+      narrowControl.checked = value;
+      this._updateFormatExample();
+    });
+    this._model.home.code.listen(() => this._updateFormatExample());
+    denominationsControl.checked = this._model.settings.denominations.value;
+    this._model.settings.denominations.listen((value) => {
+      denominationsControl.checked = value;
+    });
+    conversionsControl.checked = this._model.settings.logConversions.value;
+    this._model.settings.logConversions.listen((value) => {
+      conversionsControl.checked = value;
+    });
+    this._updateFormatExample();
+    historyControl.value = this._model.settings.historyDays.value;
+    this._model.settings.historyDays.listen((value) => {
+      historyControl.value = value;
+    });
+    refreshControl.value = this._model.settings.refreshHours.value;
+    this._model.settings.refreshHours.listen((value) => {
+      refreshControl.value = value;
+    });
 
     // Add event listeners.
     geoControl.addEventListener('change', () => {
       this._model.geo.enabled.value = geoControl.checked;
     });
+    refineControl.addEventListener('change', () => {
+      this._model.geo.refine.value = refineControl.checked;
+    });
+    watchControl.addEventListener('change', () => {
+      this._model.geo.watch.value = watchControl.checked;
+      // Watching needs location access, so ask for it too.
+      if (watchControl.checked) {
+        this._model.geo.enabled.value = true;
+      }
+    });
     notifyControl.addEventListener('change', () => {
-      this._model.settings.notify.value = notifyControl.checked;
+      if (notifyControl.checked) {
+        this._app.enableNotifications();
+      } else {
+        this._model.settings.notify.value = false;
+      }
+    });
+    localeControl.addEventListener('change', () => {
+      this._model.settings.locale.value = localeControl.value || null;
+    });
+    languageControl.addEventListener('change', () => {
+      this._model.settings.language.value = languageControl.value || null;
+    });
+    narrowControl.addEventListener('change', () => {
+      this._model.settings.narrowSymbols.value = narrowControl.checked;
+    });
+    denominationsControl.addEventListener('change', () => {
+      this._model.settings.denominations.value = denominationsControl.checked;
+    });
+    conversionsControl.addEventListener('change', () => {
+      this._model.settings.logConversions.value = conversionsControl.checked;
+    });
+    historyControl.addEventListener('change', () => {
+      this._model.settings.historyDays.value =
+        parseInt(historyControl.value, 10);
+    });
+    refreshControl.addEventListener('change', () => {
+      this._model.settings.refreshHours.value =
+        parseInt(refreshControl.value, 10);
     });
 
     // Handle common values.
-    this._commonValues = [];
-    const commonValueControls =
-      this._screen.querySelectorAll('.mm-js-common-value');
+    this._commonFields = [];
+    this._commonCount = null;
+    this._commonList =
+      this._screen.querySelector('.mm-settings__common-values');
+    const addCommonButton =
+      this._screen.querySelector('.mm-settings__add-common');
 
-    const labels = ['first', 'second', 'third'];
+    this._model.common.values.listen(() => this._populateCommonValues());
+    this._model.home.code.listen(() => this._updateCommonValues());
+    addCommonButton.addEventListener('click', () => {
+      const values = this._model.common.values.value || [];
+      // Start from the last value, which is easy to adjust.
+      this._model.common.values.value =
+        values.concat([values.length ? values[values.length - 1] : 1]);
+      this._commonList.lastChild.querySelector('input').focus();
+    });
+
+    this._populateCommonValues();
 
-    commonValueControls.forEach((control, i) => {
-      const input = control.querySelector('input');
-      this._commonValues.push(new MDCTextField(control));
+    // Handle fee profiles.
+    this._feeFields = [];
+    this._feeProfileIds = null;
+    this._feeControl = this._screen.querySelector('#mm-settings-fee');
+    this._feeList = this._screen.querySelector('.mm-settings__fee-profiles');
+    const addFeeButton = this._screen.querySelector('.mm-settings__add-fee');
 
-      // Update model when values change.
-      input.addEventListener('change', () => {
-        if (input.value !== '') {
-          this._model.common[labels[i]].home.value = parseFloat(input.value);
+    this._model.fees.profiles.listen(() => this._populateFeeProfiles());
+    this._model.fees.active.listen((value) => {
+      this._feeControl.value = value || '';
+    });
+    this._feeControl.addEventListener('change', () => {
+      this._model.fees.active.value = this._feeControl.value || null;
+    });
+    addFeeButton.addEventListener('click', () => {
+      const profile = Fees.createProfile(I18n.t('settings.newFee'));
+      this._model.fees.profiles.value =
+        this._model.fees.profiles.value.concat([profile]);
+      this._model.fees.active.value = profile.id;
+    });
+
+    this._populateFeeProfiles();
+
+    // Handle the rate provider.
+    this._providerControls = {
+      type: this._screen.querySelector('#mm-settings-provider'),
+      url: this._screen.querySelector('#mm-settings-provider-url'),
+      format: this._screen.querySelector('#mm-settings-provider-format'),
+      base: this._screen.querySelector('#mm-settings-provider-base'),
+      ratesPath: this._screen.querySelector('#mm-settings-provider-rates'),
+    };
+    this._model.settings.provider.listen(() => this._updateProviderControls());
+    Object.values(this._providerControls).forEach((control) =>
+      control.addEventListener('change', () => {
+        const controls = this._providerControls;
+        const config = {type: controls.type.value, url: controls.url.value};
+
+        if (config.type === 'custom') {
+          Object.assign(config, {
+            format: controls.format.value,
+            base: controls.base.value.trim().toUpperCase(),
+            ratesPath: controls.ratesPath.value.trim(),
+          });
+        }
+        // Don't carry URLs over from one kind of provider to another.
+        if (control === controls.type) {
+          config.url = '';
         }
+        this._model.settings.provider.value = config;
+      }));
+    this._updateProviderControls();
+
+    // Handle rate alerts.
+    this._alertIds = null;
+    this._alertList = this._screen.querySelector('.mm-settings__alerts');
+    const addAlertButton =
+      this._screen.querySelector('.mm-settings__add-alert');
+
+    this._model.alerts.listen(() => this._populateAlerts());
+    addAlertButton.addEventListener('click', () => {
+      const from = this._model.home.code.value;
+      const to = this._model.travel.code.value;
+      const rate = this._app.getRate(from, to);
+      // Start from the current rate, which is easy to adjust.
+      const threshold = rate ? Number(rate.toNumber().toPrecision(4)) : 1;
+
+      this._model.alerts.value = (this._model.alerts.value || []).concat(
+        [Alerts.createAlert(from, to, 'above', threshold)]);
+
+      // Alerts are no use without notifications.
+      if (!this._model.settings.notify.value) {
+        this._app.enableNotifications();
+      }
+    });
+
+    this._populateAlerts();
+
+    // Handle setting the current country by hand.
+    this._countryControl = this._screen.querySelector('#mm-settings-country');
+    this._populateCountries();
+    this._model.geo.country.listen(() => this._updateCountryControl());
+    this._countryControl.addEventListener('change', () => {
+      if (this._countryControl.value) {
+        this._app.setCountry(this._countryControl.value);
+      }
+    });
+
+    // Rebuild everything with text in it in the new language.
+    this._model.language.listen(() => {
+      this._commonCount = null;
+      this._feeProfileIds = null;
+      this._alertIds = null;
+      this._populateCommonValues();
+      this._populateFeeProfiles();
+      this._populateAlerts();
+      this._populateCountries();
+      if (!this._screen.classList.contains('mm-screen--disabled')) {
+        this._app.setAppTitle(I18n.t('menu.settings'));
+      }
+    });
+  }
+
+  /**
+   * Populate the countries to choose from, sorted by their names in the
+   * current language, keeping the first "Choose a country" entry.
+   */
+  _populateCountries() {
+    const control = this._countryControl;
+
+    this._app.fetchCountries().then((countries) => {
+      const names = Object.keys(countries).reduce((all, code) =>
+        Object.assign(all,
+          {[code]: I18n.countryName(code, countries[code].name)}), {});
+
+      while (control.options.length > 1) {
+        control.remove(1);
+      }
+      Object.keys(names)
+        .sort((a, b) => names[a].localeCompare(names[b], I18n.getLanguage()))
+        .forEach((code) => {
+          let option = document.createElement('option');
+          option.value = code;
+          option.textContent = names[code];
+          control.appendChild(option);
+        });
+      this._updateCountryControl();
+    });
+  }
+
+  /**
+   * Show the country the user set by hand, if any.
+   */
+  _updateCountryControl() {
+    const country = this._model.geo.country.value;
+    this._countryControl.value =
+      country && country.manual ? country.countryCode : '';
+  }
+
+  /**
+   * Populate the list of editable common values.
+   */
+  _populateCommonValues() {
+    const values = this._model.common.values.value || [];
+
+    // Only rebuild the list if values were added or removed, so that we don't
+    // lose focus while editing.
+    if (values.length !== this._commonCount) {
+      this._commonCount = values.length;
+
+      this._commonFields.forEach((field) => field.destroy());
+      this._commonFields = [];
+      while (this._commonList.firstChild) {
+        this._commonList.removeChild(this._commonList.firstChild);
+      }
+
+      values.forEach((value, index) =>
+        this._commonList.appendChild(this._createCommonEntry(index)));
+    }
+
+    this._updateCommonValues();
+  }
+
+  /**
+   * Create an entry for editing one of the common values.
+   * @param {number} index The position of the value in the list.
+   * @return {Element} The entry.
+   */
+  _createCommonEntry(index) {
+    const id = `mm-settings-common-${index}`;
+    const entry = document.createElement('div');
+    entry.classList.add('mdc-list-item', 'mm-settings__entry',
+      'mm-settings__common-entry');
+
+    const symbol = document.createElement('span');
+    symbol.classList.add('mm-settings__common-symbol');
+    entry.appendChild(symbol);
+
+    const container = document.createElement('div');
+    container.classList.add('mdc-text-field', 'mm-settings__common-value');
+    const input = document.createElement('input');
+    input.id = id;
+    input.classList.add('mdc-text-field__input');
+    input.required = true;
+    input.type = 'number';
+    input.min = 0;
+    input.step = 'any';
+    input.value = this._model.common.values.value[index];
+    container.appendChild(input);
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.classList.add('mdc-floating-label');
+    label.textContent =
+      I18n.t('settings.commonValue', {position: index + 1});
+    container.appendChild(label);
+    entry.appendChild(container);
+
+    this._commonFields.push(new MDCTextField(container));
+
+    // Update model when values change.
+    input.addEventListener('change', () => {
+      const value = parseFloat(input.value);
+      if (!isNaN(value) && value >= 0) {
+        const values = this._model.common.values.value.slice();
+        values[index] = value;
+        this._model.common.values.value = values;
+      }
+    });
+
+    entry.appendChild(this._createCommonAction('up',
+      'images/ic_arrow_upward.svg', I18n.t('settings.moveUp'),
+      () => this._moveCommonValue(index, -1)));
+    entry.appendChild(this._createCommonAction('down',
+      'images/ic_arrow_downward.svg', I18n.t('settings.moveDown'),
+      () => this._moveCommonValue(index, 1)));
+    entry.appendChild(this._createCommonAction('remove', 'images/ic_close.svg',
+      I18n.t('settings.remove'), () => {
+        const values = this._model.common.values.value.slice();
+        values.splice(index, 1);
+        this._model.common.values.value = values;
+      }));
+
+    return entry;
+  }
+
+  /**
+   * Create an action button for a common value entry.
+   * @param {string} action The name of the action, e.g. 'remove'.
+   * @param {string} icon The URL of the icon image to use, in full so that the
+   *     build can revision it.
+   * @param {string} label The accessible label for the button.
+   * @param {function} handler The click handler for the button.
+   * @return {Element} The created button.
+   */
+  _createCommonAction(action, icon, label, handler) {
+    const button = document.createElement('button');
+    button.classList.add('mm-settings__remove',
+      `mm-settings__common-${action}`);
+    button.setAttribute('aria-label', label);
+    const img = document.createElement('img');
+    img.alt = label;
+    img.src = icon;
+    button.appendChild(img);
+    button.addEventListener('click', handler);
+    return button;
+  }
+
+  /**
+   * Move a common value up or down in the list.
+   * @param {number} index The position of the value in the list.
+   * @param {number} offset The number of positions to move it by.
+   */
+  _moveCommonValue(index, offset) {
+    const values = this._model.common.values.value.slice();
+    const target = index + offset;
+
+    if (target >= 0 && target < values.length) {
+      [values[index], values[target]] = [values[target], values[index]];
+      this._model.common.values.value = values;
+    }
+  }
+
+  /**
+   * Show the current common values and home currency in the existing entries.
+   */
+  _updateCommonValues() {
+    const values = this._model.common.values.value || [];
+    const code = this._model.home.code.value;
+    const details = this._model.currencies.value.get(code);
+
+    this._commonList.querySelectorAll('.mm-settings__common-entry')
+      .forEach((entry, index) => {
+        const input = entry.querySelector('input');
+        // Leave the input alone while it holds the same number, e.g. "1.50".
+        if (parseFloat(input.value) !== values[index]) {
+          input.value = values[index];
+        }
+        entry.querySelector('.mm-settings__common-symbol').textContent =
+          details.symbol;
+        entry.querySelector('.mm-settings__common-up').disabled = index === 0;
+        entry.querySelector('.mm-settings__common-down').disabled =
+          index === values.length - 1;
+        entry.querySelector('.mm-settings__common-remove').setAttribute(
+          'aria-label', I18n.t('settings.removeNamed', {name:
+            Format.formatCurrency(values[index], code, details.minorUnits)}));
       });
+  }
+
+  /**
+   * Populate the fee profile selector and the list of editable profiles.
+   */
+  _populateFeeProfiles() {
+    const profiles = this._model.fees.profiles.value || [];
+
+    // Refresh selector options, keeping the first "None" entry.
+    while (this._feeControl.options.length > 1) {
+      this._feeControl.remove(1);
+    }
+    for (const profile of profiles) {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      this._feeControl.appendChild(option);
+    }
+    this._feeControl.value = this._model.fees.active.value || '';
+
+    // Only rebuild the editable list if profiles were added or removed, so
+    // that we don't lose focus while editing.
+    const ids = profiles.map((profile) => profile.id).join();
+    if (ids === this._feeProfileIds) {
+      return;
+    }
+    this._feeProfileIds = ids;
 
-      // Set initial values and listen to model changes.
-      input.value = this._model.common[labels[i]].home.value;
-      this._model.common[labels[i]].home.listen((val) => (input.value = val));
+    this._feeFields.forEach((field) => field.destroy());
+    this._feeFields = [];
+    while (this._feeList.firstChild) {
+      this._feeList.removeChild(this._feeList.firstChild);
+    }
+
+    for (const profile of profiles) {
+      const entry = document.createElement('div');
+      entry.classList.add('mdc-list-item', 'mm-settings__entry',
+        'mm-settings__fee-profile');
+
+      entry.appendChild(this._createFeeField(profile, 'name',
+        I18n.t('settings.feeName'), 'mm-settings__fee-name'));
+      entry.appendChild(this._createFeeField(profile, 'percentage',
+        I18n.t('settings.feeMarkup'), 'mm-settings__fee-number'));
+      entry.appendChild(this._createFeeField(profile, 'fixed',
+        I18n.t('settings.feeFixed'), 'mm-settings__fee-number'));
+
+      const remove = document.createElement('button');
+      remove.classList.add('mm-settings__remove');
+      remove.setAttribute('aria-label',
+        I18n.t('settings.removeNamed', {name: profile.name}));
+      const img = document.createElement('img');
+      img.alt = I18n.t('settings.remove');
+      img.src = 'images/ic_close.svg';
+      remove.appendChild(img);
+      remove.addEventListener('click', () => {
+        this._model.fees.profiles.value = this._model.fees.profiles.value
+          .filter((existing) => existing.id !== profile.id);
+        if (this._model.fees.active.value === profile.id) {
+          this._model.fees.active.value = null;
+        }
+      });
+      entry.appendChild(remove);
+
+      this._feeList.appendChild(entry);
+    }
+  }
+
+  /**
+   * Create a text field for editing a property of a fee profile.
+   * @param {Object} profile The fee profile.
+   * @param {string} property One of 'name', 'percentage' or 'fixed'.
+   * @param {string} label The label for the field.
+   * @param {string} className The CSS class for the field.
+   * @return {Element} The text field container.
+   */
+  _createFeeField(profile, property, label, className) {
+    const id = `mm-settings-fee-${profile.id}-${property}`;
+    const container = document.createElement('div');
+    container.classList.add('mdc-text-field', className);
+
+    const input = document.createElement('input');
+    input.id = id;
+    input.classList.add('mdc-text-field__input');
+    input.required = true;
+    if (property === 'name') {
+      input.type = 'text';
+    } else {
+      input.type = 'number';
+      input.min = 0;
+      input.step = 'any';
+    }
+    input.value = profile[property];
+    container.appendChild(input);
+
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = id;
+    labelEl.classList.add('mdc-floating-label');
+    labelEl.textContent = label;
+    container.appendChild(labelEl);
+
+    this._feeFields.push(new MDCTextField(container));
+
+    // Update model when values change.
+    input.addEventListener('change', () => {
+      const value = property === 'name' ?
+        input.value.trim() : parseFloat(input.value);
+
+      if (value === '' || (typeof value === 'number' && isNaN(value))) {
+        return;
+      }
+      this._model.fees.profiles.value = this._model.fees.profiles.value
+        .map((existing) => existing.id === profile.id ?
+          Object.assign({}, existing, {[property]: value}) : existing);
     });
+
+    return container;
+  }
+
+  /**
+   * Show the settings for the current rate provider.
+   */
+  _updateProviderControls() {
+    const config =
+      this._model.settings.provider.value || Providers.DEFAULT_PROVIDER;
+    const controls = this._providerControls;
+    const defaultUrls = {
+      server: Providers.SERVER_URL,
+      ecb: Providers.ECB_URL,
+      custom: 'https://',
+    };
+
+    controls.type.value = config.type;
+    controls.url.value = config.url || '';
+    controls.url.placeholder = defaultUrls[config.type] || '';
+    controls.format.value = config.format || 'json';
+    controls.base.value = config.base || '';
+    controls.ratesPath.value = config.ratesPath || '';
+    this._screen.classList.toggle('mm-settings--custom-provider',
+      config.type === 'custom');
+  }
+
+  /**
+   * Populate the list of editable rate alerts.
+   */
+  _populateAlerts() {
+    const alerts = this._model.alerts.value || [];
+
+    // Only rebuild the list if alerts were added or removed, so that we don't
+    // lose focus while editing.
+    const ids = alerts.map((alert) => alert.id).join();
+    if (ids === this._alertIds) {
+      return;
+    }
+    this._alertIds = ids;
+
+    while (this._alertList.firstChild) {
+      this._alertList.removeChild(this._alertList.firstChild);
+    }
+
+    const codes = Array.from(this._model.currencies.value.keys()).sort();
+    const currencyOptions = codes.map((code) => [code, code]);
+    const directionOptions = [
+      ['above', I18n.t('alerts.more')],
+      ['below', I18n.t('alerts.less')],
+    ];
+
+    for (const alert of alerts) {
+      const entry = document.createElement('div');
+      entry.classList.add('mdc-list-item', 'mm-settings__entry',
+        'mm-settings__alert');
+
+      const threshold = document.createElement('input');
+      threshold.type = 'number';
+      threshold.min = 0;
+      threshold.step = 'any';
+      threshold.value = alert.threshold;
+      threshold.classList.add('mm-settings__alert-control',
+        'mm-settings__alert-threshold');
+      threshold.setAttribute('aria-label', I18n.t('alerts.rate'));
+      threshold.addEventListener('change', () => {
+        const value = parseFloat(threshold.value);
+        if (!isNaN(value) && value > 0) {
+          this._updateAlert(alert.id, 'threshold', value);
+        }
+      });
+
+      entry.appendChild(document.createTextNode('1'));
+      entry.appendChild(this._createAlertSelect(alert, 'from', currencyOptions,
+        I18n.t('alerts.from')));
+      entry.appendChild(document.createTextNode(I18n.t('alerts.buys')));
+      entry.appendChild(this._createAlertSelect(alert, 'direction',
+        directionOptions, I18n.t('alerts.condition')));
+      entry.appendChild(threshold);
+      entry.appendChild(this._createAlertSelect(alert, 'to', currencyOptions,
+        I18n.t('alerts.to')));
+
+      const remove = document.createElement('button');
+      remove.classList.add('mm-settings__remove');
+      remove.setAttribute('aria-label',
+        I18n.t('alerts.remove', {alert: Alerts.describeAlert(alert)}));
+      const img = document.createElement('img');
+      img.alt = I18n.t('settings.remove');
+      img.src = 'images/ic_close.svg';
+      remove.appendChild(img);
+      remove.addEventListener('click', () => {
+        this._model.alerts.value = this._model.alerts.value
+          .filter((existing) => existing.id !== alert.id);
+      });
+      entry.appendChild(remove);
+
+      this._alertList.appendChild(entry);
+    }
+  }
+
+  /**
+   * Create a select box for editing a property of a rate alert.
+   * @param {Object} alert The rate alert.
+   * @param {string} property One of 'from', 'to' or 'direction'.
+   * @param {Array.<Array.<string>>} options The values and labels to offer.
+   * @param {string} label The accessible label for the select box.
+   * @return {Element} The select box.
+   */
+  _createAlertSelect(alert, property, options, label) {
+    const select = document.createElement('select');
+    select.classList.add('mm-settings__alert-control');
+    select.setAttribute('aria-label', label);
+
+    for (const [value, text] of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    }
+    select.value = alert[property];
+    select.addEventListener('change', () =>
+      this._updateAlert(alert.id, property, select.value));
+
+    return select;
+  }
+
+  /**
+   * Update a property of a rate alert, re-arming it.
+   * @param {string} id The id of the rate alert.
+   * @param {string} property The property to update.
+   * @param {*} value The new value.
+   */
+  _updateAlert(id, property, value) {
+    this._model.alerts.value = this._model.alerts.value
+      .map((existing) => existing.id === id ?
+        Object.assign({}, existing, {[property]: value, triggered: false}) :
+        existing);
+  }
+
+  /**
+   * Show how amounts in the home currency look with the current format.
+   */
+  _updateFormatExample() {
+    const code = this._model.home.code.value;
+    const details = this._model.currencies.value.get(code);
+
+    this._screen.querySelector('.mm-settings__format-example').textContent =
+      Format.formatCurrency(FORMAT_EXAMPLE, code, details.minorUnits);
   }
 
   /**
@@ -85,6 +725,6 @@ export class SettingsView {
     this._originScreen = originScreen;
 
     this._animationHelper.fadingAnimation(this._originScreen, this._screen);
-    this._app.setAppTitle('Settings');
+    this._app.setAppTitle(I18n.t('menu.settings'));
   }
 }
@@ -0,0 +1,448 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {MDCDialog} from '@material/dialog';
+import Decimal from '../decimal';
+import * as Expression from '../expression.js';
+import * as Format from '../format.js';
+import * as I18n from '../i18n.js';
+import * as Trips from '../trips.js';
+import {downloadFile} from '../download.js';
+
+/**
+ * Formats an ISO date for display.
+ * @param {string} date The ISO date.
+ * @return {string} The date, as the user's locale writes it.
+ */
+function _formatDate(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString();
+}
+
+/**
+ * Main class for the trips view, which keeps track of expenses on trips.
+ */
+export class TripsView {
+  /**
+   * Constructor for the TripsView.
+   * @param {App} app The instance of the main application.
+   * @param {Object} model The model for the application.
+   * @param {Element} screen The container element for this screen.
+   * @param {AnimationHelper} animationHelper Animation helper instance.
+   */
+  constructor(app, model, screen, animationHelper) {
+    this._app = app;
+    this._model = model;
+    this._screen = screen;
+    this._animationHelper = animationHelper;
+
+    this._tripId = null;
+    this._shownTripId = null;
+    this._tripBox = this._screen.querySelector('.mm-trips__trip');
+    this._list = this._screen.querySelector('.mm-trips__list');
+    this._categories = this._screen.querySelector('.mm-trips__categories');
+    this._amountBox = this._screen.querySelector('.mm-trips__amount');
+    this._categoryBox = this._screen.querySelector('.mm-trips__category');
+    this._dateBox = this._screen.querySelector('.mm-trips__date');
+    this._noteBox = this._screen.querySelector('.mm-trips__note');
+
+    const tripDialogElement = document.querySelector('#mm-trip-dialog');
+    this._tripDialog = new MDCDialog(tripDialogElement);
+    this._tripName = tripDialogElement.querySelector('.mm-trip-dialog__name');
+    this._tripCurrency =
+      tripDialogElement.querySelector('.mm-trip-dialog__currency');
+    this._tripStart = tripDialogElement.querySelector('.mm-trip-dialog__start');
+    this._tripEnd = tripDialogElement.querySelector('.mm-trip-dialog__end');
+    const deleteDialogElement =
+      document.querySelector('#mm-delete-trip-dialog');
+    this._deleteDialog = new MDCDialog(deleteDialogElement);
+    this._deleteBody =
+      deleteDialogElement.querySelector('.mm-delete-trip-dialog__body');
+
+    // Listen to model changes.
+    this._model.trips.listen(() => this._populateTrips());
+    this._model.home.code.listen(() => this._populateTrips());
+    this._model.settings.locale.listen(() => this._populateTrips());
+    this._model.settings.narrowSymbols.listen(() => this._populateTrips());
+    this._model.language.listen(() => {
+      this._populateCategories();
+      this._populateTrips();
+    });
+
+    // Add event listeners.
+    this._tripBox.addEventListener('change', () => {
+      this._tripId = this._tripBox.value;
+      this._populateTrips();
+    });
+    this._screen.querySelector('.mm-trips__new').addEventListener('click',
+      () => this._openTripDialog());
+    this._tripDialog.listen('MDCDialog:accept', () => this._createTrip());
+    this._screen.querySelector('.mm-trips__add').addEventListener('submit',
+      (event) => {
+        event.preventDefault();
+        this._addExpense();
+      });
+    this._amountBox.addEventListener('input', () =>
+      this._amountBox.classList.remove('mm-trips__amount--invalid'));
+    this._screen.querySelector('.mm-trips__export').addEventListener('click',
+      () => this._exportTrip());
+    this._screen.querySelector('.mm-trips__delete').addEventListener('click',
+      () => {
+        this._deleteBody.textContent = I18n.t('deleteTripDialog.body',
+          {name: this._currentTrip().name});
+        this._deleteDialog.show();
+      });
+    this._deleteDialog.listen('MDCDialog:accept', () => this._deleteTrip());
+
+    this._populateCategories();
+    this._populateTrips();
+  }
+
+  /**
+   * Display the trips screen.
+   * @param {Element} originScreen The container for the originating screen.
+   */
+  show(originScreen) {
+    this._originScreen = originScreen;
+
+    this._animationHelper.fadingAnimation(this._originScreen, this._screen);
+    this._app.setAppTitle(TripsView.TITLE);
+  }
+
+  /**
+   * The title displayed in the toolbar while the trips are visible.
+   */
+  static get TITLE() {
+    return I18n.t('trips.title');
+  }
+
+  /**
+   * Returns the trips, most recent first.
+   * @return {Array.<Object>} The trips.
+   */
+  _sortedTrips() {
+    return (this._model.trips.value || []).slice().sort((a, b) =>
+      (a.start > b.start ? -1 : a.start < b.start ? 1 : 0));
+  }
+
+  /**
+   * Returns the trip being shown, which is the most recent one unless the
+   * user picked another.
+   * @return {?Object} The trip, or null if there are no trips.
+   */
+  _currentTrip() {
+    const trips = this._sortedTrips();
+    const trip = trips.find((existing) => existing.id === this._tripId) ||
+      trips[0] || null;
+
+    this._tripId = trip && trip.id;
+    return trip;
+  }
+
+  /**
+   * Formats an amount in a currency.
+   * @param {number|string|Decimal} amount The amount.
+   * @param {string} code The 3-letter code for the currency.
+   * @return {string} The formatted amount.
+   */
+  _formatAmount(amount, code) {
+    return Format.formatCurrency(amount, code, this._minorUnits(code));
+  }
+
+  /**
+   * Returns the number of decimal places used by a currency.
+   * @param {string} code The 3-letter code for the currency.
+   * @return {number} The number of decimal places.
+   */
+  _minorUnits(code) {
+    const details = this._model.currencies.value.get(code);
+    return details && 'minorUnits' in details ? details.minorUnits : 2;
+  }
+
+  /**
+   * Returns what an expense is worth in the home currency, at the rate in
+   * effect on the day it was spent.
+   * @param {Object} trip The trip the expense belongs to.
+   * @param {Object} expense The expense.
+   * @return {?Decimal} The amount, or null if there is no rate for it.
+   */
+  _homeAmount(trip, expense) {
+    const code = this._model.home.code.value;
+    let rate = expense.home && expense.home.code === code ?
+      expense.home.rate : null;
+
+    // The home currency has changed since, so look the rate up again.
+    if (rate === null) {
+      const current = this._app.rateOn(trip.code, code, expense.date);
+      rate = current && current.rate;
+    }
+    return rate === null ? null :
+      Decimal.from(expense.amount).times(rate).round(this._minorUnits(code));
+  }
+
+  /**
+   * Populate the expense categories to choose from.
+   */
+  _populateCategories() {
+    const selected = this._categoryBox.value || Trips.CATEGORIES[0];
+
+    while (this._categoryBox.firstChild) {
+      this._categoryBox.removeChild(this._categoryBox.firstChild);
+    }
+    Trips.CATEGORIES.forEach((category) => {
+      const option = document.createElement('option');
+      option.value = category;
+      option.textContent = I18n.t(`trips.category.${category}`);
+      this._categoryBox.appendChild(option);
+    });
+    this._categoryBox.value = selected;
+  }
+
+  /**
+   * Populate the screen with the trips, and the expenses and totals of the
+   * trip being shown.
+   */
+  _populateTrips() {
+    const trip = this._currentTrip();
+
+    while (this._tripBox.firstChild) {
+      this._tripBox.removeChild(this._tripBox.firstChild);
+    }
+    this._sortedTrips().forEach((existing) => {
+      const option = document.createElement('option');
+      option.value = existing.id;
+      option.textContent = existing.name;
+      this._tripBox.appendChild(option);
+    });
+
+    this._screen.classList.toggle('mm-trips--none', !trip);
+    if (!trip) {
+      this._shownTripId = null;
+      return;
+    }
+    this._tripBox.value = trip.id;
+
+    // Start with today's expenses, or the first day's if not on the trip.
+    if (trip.id !== this._shownTripId) {
+      this._shownTripId = trip.id;
+      const today = Trips.today();
+      this._dateBox.min = trip.start;
+      this._dateBox.max = trip.end || '';
+      this._dateBox.value = today < trip.start ||
+        (trip.end && today > trip.end) ? trip.start : today;
+    }
+
+    const homeCode = this._model.home.code.value;
+    const totals =
+      Trips.totals(trip, (expense) => this._homeAmount(trip, expense));
+
+    this._screen.querySelector('.mm-trips__dates').textContent = trip.end ?
+      I18n.t('trips.dates',
+        {start: _formatDate(trip.start), end: _formatDate(trip.end)}) :
+      I18n.t('trips.datesOpen', {start: _formatDate(trip.start)});
+    this._screen.querySelector('.mm-trips__total').textContent =
+      this._formatAmount(totals.home, homeCode);
+    this._screen.querySelector('.mm-trips__total-travel').textContent =
+      this._formatAmount(totals.travel, trip.code);
+    this._screen.classList.toggle('mm-trips--missing', totals.missing > 0);
+    this._screen.classList.toggle('mm-trips--empty', !trip.expenses.length);
+
+    while (this._categories.firstChild) {
+      this._categories.removeChild(this._categories.firstChild);
+    }
+    Trips.CATEGORIES.filter((category) => totals.categories.has(category))
+      .forEach((category) => {
+        const li = document.createElement('li');
+        li.classList.add('mm-trips__category-total');
+        const name = document.createElement('span');
+        name.textContent = I18n.t(`trips.category.${category}`);
+        li.appendChild(name);
+        const amount = document.createElement('span');
+        amount.textContent =
+          this._formatAmount(totals.categories.get(category).home, homeCode);
+        li.appendChild(amount);
+        this._categories.appendChild(li);
+      });
+
+    this._populateExpenses(trip, totals.running);
+  }
+
+  /**
+   * Populate the list with the expenses of a trip.
+   * @param {Object} trip The trip.
+   * @param {Array.<Decimal>} running The running home total after each
+   *                                  expense.
+   */
+  _populateExpenses(trip, running) {
+    const homeCode = this._model.home.code.value;
+
+    while (this._list.firstChild) {
+      this._list.removeChild(this._list.firstChild);
+    }
+
+    trip.expenses.forEach((expense, index) => {
+      const home = this._homeAmount(trip, expense);
+
+      const li = document.createElement('li');
+      li.classList.add('mm-trips__item', 'mdc-list-item');
+
+      const text = document.createElement('span');
+      text.classList.add('mm-trips__item-text');
+      const amounts = document.createElement('span');
+      amounts.classList.add('mm-trips__item-amounts');
+      amounts.textContent = I18n.t('trips.amounts', {
+        travel: this._formatAmount(expense.amount, trip.code),
+        home: home === null ? I18n.t('rates.unavailableShort') :
+          this._formatAmount(home, homeCode),
+      });
+      text.appendChild(amounts);
+      const details = document.createElement('span');
+      details.classList.add('mm-trips__item-details');
+      details.textContent = I18n.t(expense.note ?
+        'trips.details' : 'trips.detailsNoNote', {
+        date: _formatDate(expense.date),
+        category: I18n.t(`trips.category.${expense.category}`),
+        note: expense.note,
+      });
+      text.appendChild(details);
+      const total = document.createElement('span');
+      total.classList.add('mm-trips__item-details');
+      total.textContent = I18n.t('trips.running',
+        {amount: this._formatAmount(running[index], homeCode)});
+      text.appendChild(total);
+      li.appendChild(text);
+
+      const remove = document.createElement('button');
+      remove.classList.add('mm-trips__item-action');
+      remove.setAttribute('aria-label', I18n.t('trips.remove'));
+      const img = document.createElement('img');
+      img.alt = I18n.t('trips.remove');
+      img.src = 'images/ic_close.svg';
+      remove.appendChild(img);
+      remove.addEventListener('click', () =>
+        this._replaceTrip(Trips.removeExpense(trip, expense.id)));
+      li.appendChild(remove);
+
+      this._list.appendChild(li);
+    });
+  }
+
+  /**
+   * Replace a trip with an updated copy, so that it gets saved.
+   * @param {Object} trip The updated trip.
+   */
+  _replaceTrip(trip) {
+    this._model.trips.value = this._model.trips.value.map((existing) =>
+      existing.id === trip.id ? trip : existing);
+  }
+
+  /**
+   * Open the dialog for creating a trip, in the current travel currency.
+   */
+  _openTripDialog() {
+    const currencies = Array.from(this._model.currencies.value.entries())
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+    while (this._tripCurrency.firstChild) {
+      this._tripCurrency.removeChild(this._tripCurrency.firstChild);
+    }
+    currencies.forEach(([code, details]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = `${code} – ${I18n.currencyName(code, details.name)}`;
+      this._tripCurrency.appendChild(option);
+    });
+
+    this._tripName.value = '';
+    this._tripCurrency.value = this._model.travel.code.value;
+    this._tripStart.value = Trips.today();
+    this._tripEnd.value = '';
+    this._tripDialog.show();
+  }
+
+  /**
+   * Create a trip from the values in the trip dialog, and show it.
+   */
+  _createTrip() {
+    let start = this._tripStart.value || Trips.today();
+    let end = this._tripEnd.value || null;
+
+    if (end && end < start) {
+      [start, end] = [end, start];
+    }
+
+    const trip = Trips.createTrip(
+      this._tripName.value.trim() ||
+        I18n.t('tripDialog.untitled', {date: _formatDate(start)}),
+      this._tripCurrency.value, start, end);
+    this._tripId = trip.id;
+    this._model.trips.value = (this._model.trips.value || []).concat([trip]);
+  }
+
+  /**
+   * Delete the trip being shown, with its expenses.
+   */
+  _deleteTrip() {
+    const id = this._tripId;
+
+    this._tripId = null;
+    this._model.trips.value = this._model.trips.value.filter((trip) =>
+      trip.id !== id);
+  }
+
+  /**
+   * Add an expense to the trip being shown, from the values in the form.
+   */
+  _addExpense() {
+    const trip = this._currentTrip();
+    let amount = null;
+
+    try {
+      amount = Expression.evaluate(this._amountBox.value,
+        Format.getDecimalSeparator());
+    } catch (e) {
+      if (!(e instanceof Expression.ExpressionError)) {
+        throw e;
+      }
+    }
+
+    if (amount === null || amount.isZero()) {
+      this._amountBox.classList.add('mm-trips__amount--invalid');
+      this._amountBox.focus();
+      return;
+    }
+
+    const date = this._dateBox.value || Trips.today();
+    const homeCode = this._model.home.code.value;
+    const rate = this._app.rateOn(trip.code, homeCode, date);
+
+    this._replaceTrip(Trips.addExpense(trip, Trips.createExpense(amount,
+      this._categoryBox.value, date, this._noteBox.value.trim(),
+      rate && {code: homeCode, rate: rate.rate, date: rate.date})));
+    this._amountBox.value = '';
+    this._noteBox.value = '';
+    this._amountBox.focus();
+  }
+
+  /**
+   * Save the expenses of the trip being shown as a CSV file.
+   */
+  _exportTrip() {
+    const trip = this._currentTrip();
+
+    downloadFile(Trips.toCsv(trip, this._model.home.code.value,
+      (expense) => this._homeAmount(trip, expense)),
+    'text/csv', `trip-${trip.start}.csv`);
+  }
+}
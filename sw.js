@@ -14,24 +14,70 @@
  * limitations under the License.
  */
 
-const APP_CACHE = 'material-money-v9';
+const APP_CACHE = 'material-money-v23';
 const RATE_URL = '/rates';
 
+// Keep in sync with scripts/db.js, which shares this database.
+const DB_VERSION = 5;
+const OBJECT_STORES = ['kv', 'history', 'alerts', 'conversions', 'trips'];
+
+// ECB reference rates are set at 14:15 CET on working days. Allow some leeway
+// for them to be published and reach the rates server.
+const PUBLICATION_HOUR_UTC = 15;
+
+// Keep in sync with DEFAULT_REFRESH_HOURS in scripts/main.js.
+const DEFAULT_REFRESH_HOURS = 12;
+
+// Message catalogs for notifications, in the language the app is shown in.
+// Keep the paths literal, so that the build can revision them.
+const CATALOGS = {
+  ar: '/data/messages-ar.json',
+  de: '/data/messages-de.json',
+  en: '/data/messages-en.json',
+  es: '/data/messages-es.json',
+  he: '/data/messages-he.json',
+};
+
+// Languages written right to left. Keep in sync with scripts/i18n.js.
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
 // Cached files
 const urlsToCache = [
   '/',
   '/favicon.ico',
   '/manifest.json',
+  '/data/countries.json',
+  '/data/country-boundaries.json',
   '/data/country-currencies.json',
   '/data/currencies.json',
+  '/data/denominations.json',
+  '/data/messages-ar.json',
+  '/data/messages-de.json',
+  '/data/messages-en.json',
+  '/data/messages-es.json',
+  '/data/messages-he.json',
+  '/data/timezone-countries.json',
   '/scripts/views/view-0.js',
   '/scripts/views/view-1.js',
+  '/scripts/views/view-2.js',
+  '/scripts/views/view-3.js',
+  '/scripts/views/view-4.js',
+  '/scripts/views/view-5.js',
   '/styles/styles.min.css',
+  '/images/ic_add.svg',
   '/images/ic_arrow_back.svg',
+  '/images/ic_arrow_downward.svg',
+  '/images/ic_arrow_upward.svg',
+  '/images/ic_close.svg',
   '/images/ic_home.svg',
   '/images/ic_language.svg',
+  '/images/ic_list.svg',
   '/images/ic_more_vert.svg',
+  '/images/ic_public.svg',
   '/images/ic_refresh.svg',
+  '/images/ic_search.svg',
+  '/images/ic_star.svg',
+  '/images/ic_star_border.svg',
   '/images/ic_warning.svg',
   '/images/touch/apple-touch-icon.png',
   '/images/touch/chrome-touch-icon-192x192.png',
@@ -47,24 +93,38 @@ self.addEventListener('install', (event) => {
       caches.open(APP_CACHE).then((cache) => cache.addAll(urlsToCache)));
 });
 
-// Delete old caches.
+// Delete old caches, and set up periodic rate refreshes.
 self.addEventListener('activate', (event) => {
-  event.waitUntil(
+  event.waitUntil(Promise.all([
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.filter((cacheName) => cacheName !== APP_CACHE)
             .map((cacheName) => caches.delete(cacheName))
       );
-    })
-  );
+    }),
+    registerPeriodicSync(),
+  ]));
+});
+
+// Reply to messages from the page.
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.action === 'refresh-settings') {
+    // The refresh cadence changed.
+    event.waitUntil(registerPeriodicSync());
+  } else if (event.data && event.data.action === 'check-alerts') {
+    // The page fetched new rates.
+    event.waitUntil(checkAlerts(event.data.rates));
+  }
 });
 
 // Fetch data from cache.
 self.addEventListener('fetch', (event) => {
   const requestUrl = new URL(event.request.url);
-  if (requestUrl.pathname === '/rates') {
-    // Rates. Don't cache.
-    fetch(event.request);
+  if (requestUrl.origin !== self.location.origin ||
+    requestUrl.pathname.startsWith(RATE_URL)) {
+    // Rates, from our server or another provider. Don't cache, and let the
+    // browser fetch them as usual.
+    return;
   } else if (requestUrl.pathname === '/') {
     // Serve from cache, update in background.
     cacheThenUpdateWithCacheBust(event);
@@ -78,35 +138,331 @@ self.addEventListener('fetch', (event) => {
 self.addEventListener('sync', (event) => {
   if (event.tag === 'rates') {
     // Fetch the rates once the user gains connectivity.
-    event.waitUntil(fetch(RATE_URL)
+    event.waitUntil(backgroundRateUrl().then((url) => url && fetch(url)
         .then((response) => response.json())
-        .then((json) => {
-          let idb = self.indexedDB;
-          if (idb) {
-            let req = idb.open('db', 1);
-            if (req) {
-              req.onsuccess = (event) => {
-                let db = event.target.result;
-                db.transaction('kv', 'readwrite').objectStore('kv')
-                    .put(json, 'rates');
-              };
-              req.onupgradeneeded = (event) => {
-                let db = event.target.result;
-                db.createObjectStore('kv');
-              };
-            }
-          }
-        })
-        .then(() => {
-          registration.showNotification('Material Money', {
-            body: 'Currency rates updated.',
-            icon: '/images/touch/icon-256x256.png',
-            badge: '/images/touch/icon-256x256.png',
-          });
-        }));
+        .then((json) => storeRates(json).then(() => checkAlerts(json)))));
+  }
+});
+
+// Reply to periodic sync events.
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'rates') {
+    event.waitUntil(refreshRates());
   }
 });
 
+/**
+ * Registers or unregisters periodic rate refreshes, as per the cadence chosen
+ * in the settings.
+ * @return {Promise} Promise for the registration.
+ */
+function registerPeriodicSync() {
+  if (!('periodicSync' in self.registration) || !self.indexedDB) {
+    return Promise.resolve();
+  }
+
+  return openDb()
+    .then((db) => requestResult(
+      db.transaction('kv').objectStore('kv').get('settings.refreshHours')))
+    .then((hours) => {
+      hours = hours === undefined ? DEFAULT_REFRESH_HOURS : hours;
+      if (!hours) {
+        return self.registration.periodicSync.unregister('rates');
+      }
+      return self.registration.periodicSync.register('rates', {
+        minInterval: hours * 60 * 60 * 1000,
+      });
+    })
+    // Periodic sync is only allowed for installed apps, at the browser's
+    // discretion.
+    .catch(() => {});
+}
+
+/**
+ * Returns the date of the latest rates the ECB should have published by now.
+ * Holidays are not taken into account, so this may be a day ahead.
+ * @param {Date} now The current time.
+ * @return {string} The ISO date, e.g. "2017-06-30".
+ */
+function latestPublicationDate(now = new Date()) {
+  const date = new Date(now.getTime());
+
+  if (date.getUTCHours() < PUBLICATION_HOUR_UTC) {
+    date.setUTCDate(date.getUTCDate() - 1);
+  }
+  // No rates are published on weekends.
+  while (date.getUTCDay() === 0 || date.getUTCDay() === 6) {
+    date.setUTCDate(date.getUTCDate() - 1);
+  }
+  return date.toISOString().split('T', 1)[0];
+}
+
+/**
+ * Fetches the latest rates in the background, unless the stored ones are
+ * already current.
+ * @return {Promise} Promise for the refresh.
+ */
+function refreshRates() {
+  if (!self.indexedDB) {
+    return Promise.resolve();
+  }
+
+  return Promise.all([
+    openDb().then((db) =>
+      requestResult(db.transaction('kv').objectStore('kv').get('rates'))),
+    backgroundRateUrl(),
+  ]).then(([stored, url]) => {
+    if (!url || (stored && stored.date >= latestPublicationDate())) {
+      return;
+    }
+    return fetch(url)
+      .then((response) => response.json())
+      .then((json) => {
+        if (stored && json.date === stored.date) {
+          return;
+        }
+        return storeRates(json).then(() => checkAlerts(json));
+      });
+  });
+}
+
+/**
+ * Returns the URL to fetch rates from in the background, as per the provider
+ * chosen in the settings. Only the app's server provides rates in a format
+ * the service worker understands. It serves the same rates as the ECB, so
+ * it stands in for the ECB provider when that goes through the app's server.
+ * Other sources are fetched while the app is open.
+ * @return {Promise.<?string>} The URL, or null if rates can't be fetched here.
+ */
+function backgroundRateUrl() {
+  if (!self.indexedDB) {
+    return Promise.resolve(RATE_URL);
+  }
+
+  return openDb()
+    .then((db) => requestResult(
+      db.transaction('kv').objectStore('kv').get('settings.provider')))
+    .then((config) => {
+      if (!config || config.type === 'server') {
+        return (config && config.url) || RATE_URL;
+      }
+      return config.type === 'ecb' && !config.url ? RATE_URL : null;
+    });
+}
+
+/**
+ * Opens the database shared with the page, creating any missing stores.
+ * @return {Promise.<IDBDatabase>} The database promise.
+ */
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = self.indexedDB.open('db', DB_VERSION);
+    req.onerror = (event) => reject(event);
+    req.onsuccess = (event) => {
+      const db = event.target.result;
+      // Don't block the page from upgrading.
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      for (const store of OBJECT_STORES) {
+        if (!db.objectStoreNames.contains(store)) {
+          db.createObjectStore(store);
+        }
+      }
+    };
+  });
+}
+
+/**
+ * Stores a rates payload as the current rates, and in the rate history.
+ * @param {Object} rates The rates payload, as returned by the server.
+ * @return {Promise} The storage promise.
+ */
+function storeRates(rates) {
+  if (!self.indexedDB) {
+    return Promise.resolve();
+  }
+  return openDb().then((db) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(['kv', 'history'], 'readwrite');
+    transaction.objectStore('kv').put(rates, 'rates');
+    transaction.objectStore('history').put(rates, rates.date);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event);
+  }));
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} req The request.
+ * @return {Promise} Promise for the request result.
+ */
+function requestResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = (event) => reject(event);
+  });
+}
+
+/**
+ * Returns the exchange rate between two currencies in a rates payload.
+ * @param {Object} rates The rates payload.
+ * @param {string} from The 3-letter code of the currency to convert from.
+ * @param {string} to The 3-letter code of the currency to convert to.
+ * @return {?number} How much one unit of from buys in to, or null if a rate
+ *                   is missing.
+ */
+function pairRate(rates, from, to) {
+  const rate = (code) => (code === rates.base ? 1 : rates.rates[code]);
+  return rate(from) && rate(to) ? rate(to) / rate(from) : null;
+}
+
+/**
+ * Returns a promise for the messages in a language, with the English ones for
+ * any that haven't been translated.
+ * @param {?string} language The language code, e.g. "de".
+ * @return {Promise.<Object>} Promise for the messages, keyed by message key.
+ */
+function loadMessages(language) {
+  const load = (url) => fromCache(new Request(url))
+      .catch(() => fetch(url))
+      .then((response) => response.json());
+  const translated = language !== 'en' && CATALOGS[language] ?
+    load(CATALOGS[language]).catch(() => ({})) : Promise.resolve({});
+
+  return Promise.all([load(CATALOGS.en).catch(() => ({})), translated])
+      .then(([en, messages]) => Object.assign({}, en, messages));
+}
+
+/**
+ * Fills in the arguments of a message. Notifications only use messages with
+ * plain "{name}" arguments, so they don't need the app's full formatter.
+ * @param {Object} messages The messages, keyed by message key.
+ * @param {string} key The message key, e.g. "notification.alertTitle".
+ * @param {Object} args The arguments for the message, keyed by name.
+ * @return {string} The message.
+ */
+function formatMessage(messages, key, args) {
+  return (messages[key] || key).replace(/\{(\w+)\}/g,
+      (match, name) => (name in args ? args[name] : match));
+}
+
+/**
+ * Shows the notification for a triggered rate alert.
+ * @param {Object} alert The rate alert.
+ * @param {?number} oldRate The rate before the update, if known.
+ * @param {number} newRate The rate after the update.
+ * @param {Object} messages The messages for the app's language.
+ * @param {string} language The language code, for formatting numbers.
+ * @return {Promise} The notification promise.
+ */
+function notifyAlert(alert, oldRate, newRate, messages, language) {
+  const number = new Intl.NumberFormat(language, {
+    maximumSignificantDigits: 5,
+  });
+  const percent = new Intl.NumberFormat(language, {
+    style: 'percent',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  const args = {
+    from: alert.from,
+    to: alert.to,
+    rate: number.format(newRate),
+    threshold: number.format(alert.threshold),
+  };
+  let rateKey = 'notification.alertRate';
+
+  if (oldRate) {
+    const change = (newRate - oldRate) / oldRate;
+    rateKey = change < 0 ?
+      'notification.alertRateDown' : 'notification.alertRateUp';
+    args.change = percent.format(Math.abs(change));
+    args.oldRate = number.format(oldRate);
+  }
+  const body = [
+    formatMessage(messages, rateKey, args),
+    formatMessage(messages, alert.direction === 'below' ?
+      'notification.alertLess' : 'notification.alertMore', args),
+  ].join(' ');
+
+  return registration.showNotification(
+    formatMessage(messages, 'notification.alertTitle', args), {
+      body,
+      lang: language,
+      dir: RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr',
+      tag: `alert-${alert.id}`,
+      icon: '/images/touch/icon-256x256.png',
+      badge: '/images/touch/icon-256x256.png',
+    }).catch(() => {});
+}
+
+/**
+ * Checks the rate alerts against new rates, and notifies about the ones whose
+ * condition has started being met. Alerts only fire again once their
+ * condition has lapsed.
+ * @param {Object} rates The new rates payload.
+ * @return {Promise} Promise for the checks and notifications.
+ */
+function checkAlerts(rates) {
+  if (!self.indexedDB) {
+    return Promise.resolve();
+  }
+
+  return openDb().then((db) => {
+    const transaction = db.transaction(['kv', 'history', 'alerts']);
+    // The latest rates published before these ones, to compare against.
+    const previous = new Promise((resolve, reject) => {
+      const req = transaction.objectStore('history')
+          .openCursor(IDBKeyRange.upperBound(rates.date, true), 'prev');
+      req.onsuccess = () => resolve(req.result ? req.result.value : null);
+      req.onerror = (event) => reject(event);
+    });
+
+    return Promise.all([
+      requestResult(transaction.objectStore('kv').get('settings.notify')),
+      requestResult(transaction.objectStore('kv').get('i18n.language')),
+      requestResult(transaction.objectStore('alerts').getAll()),
+      previous,
+    ]).then(([notify, language, alerts, previousRates]) => {
+      const changed = [];
+      const triggered = [];
+
+      for (const alert of alerts) {
+        const rate = pairRate(rates, alert.from, alert.to);
+        if (rate === null) {
+          continue;
+        }
+
+        const met = alert.direction === 'below' ?
+          rate < alert.threshold : rate > alert.threshold;
+        if (met !== Boolean(alert.triggered)) {
+          changed.push(Object.assign({}, alert, {triggered: met}));
+          if (met && notify) {
+            triggered.push({alert, rate, oldRate: previousRates &&
+              pairRate(previousRates, alert.from, alert.to)});
+          }
+        }
+      }
+
+      if (changed.length) {
+        const store =
+          db.transaction('alerts', 'readwrite').objectStore('alerts');
+        changed.forEach((alert) => store.put(alert, alert.id));
+      }
+      if (!triggered.length) {
+        return [];
+      }
+
+      const code = language || 'en';
+      return loadMessages(code).then((messages) => Promise.all(
+        triggered.map(({alert, rate, oldRate}) =>
+          notifyAlert(alert, oldRate, rate, messages, code))));
+    });
+  });
+}
+
 /**
  * Attempts to retrieve from cache first. If that fails, goes to network and
  * stores it in the cache for later.
@@ -0,0 +1,78 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+require('babel-register');
+
+const Csv = require('../scripts/csv.js');
+
+/**
+ * Returns the CSV line for a single value.
+ * @param {*} value The value.
+ * @return {string} The field, as written after the header row.
+ */
+function field(value) {
+  return Csv.toCsv(['value'], [[value]]).split('\r\n')[1];
+}
+
+describe('CSV', () => {
+  it('writes a header row and CRLF line endings', () => {
+    assert.strictEqual(Csv.toCsv(['a', 'b'], [[1, 'x'], [2, 'y']]),
+      'a,b\r\n1,x\r\n2,y\r\n');
+  });
+
+  it('leaves out missing values', () => {
+    assert.strictEqual(Csv.toCsv(['a', 'b', 'c'], [[null, undefined, 0]]),
+      'a,b,c\r\n,,0\r\n');
+  });
+
+  it('quotes fields with commas, quotes and line breaks', () => {
+    assert.strictEqual(field('Tea, cake'), '"Tea, cake"');
+    assert.strictEqual(field('The "good" one'), '"The ""good"" one"');
+    assert.strictEqual(Csv.toCsv(['note'], [['Two\nlines']]),
+      'note\r\n"Two\nlines"\r\n');
+  });
+
+  describe('formulas', () => {
+    it('keeps text from running as a formula', () => {
+      assert.strictEqual(field('=SUM(A1:A9)'), '\'=SUM(A1:A9)');
+      assert.strictEqual(field('+1+1'), '\'+1+1');
+      assert.strictEqual(field('-2+3'), '\'-2+3');
+      assert.strictEqual(field('@SUM(A1)'), '\'@SUM(A1)');
+      assert.strictEqual(field('\tTab'), '\'\tTab');
+    });
+
+    it('quotes formulas that need quoting', () => {
+      assert.strictEqual(field('=HYPERLINK("http://x", "y")'),
+        '"\'=HYPERLINK(""http://x"", ""y"")"');
+      assert.strictEqual(field('\rReturn'), '"\'\rReturn"');
+    });
+
+    it('leaves numbers alone', () => {
+      assert.strictEqual(field('-5'), '-5');
+      assert.strictEqual(field('-12.50'), '-12.50');
+      assert.strictEqual(field('+3'), '+3');
+      assert.strictEqual(field(-0.25), '-0.25');
+    });
+
+    it('leaves text with formula characters later on alone', () => {
+      assert.strictEqual(field('Taxi = 20'), 'Taxi = 20');
+      assert.strictEqual(field('me@example.com'), 'me@example.com');
+    });
+  });
+});
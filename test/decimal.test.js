@@ -0,0 +1,145 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+require('babel-register');
+
+const Decimal = require('../scripts/decimal.js').default;
+
+describe('Decimal', () => {
+  describe('parsing', () => {
+    it('parses numeric strings', () => {
+      assert.strictEqual(Decimal.from('1234.50').toString(), '1234.5');
+      assert.strictEqual(Decimal.from('-0.5').toString(), '-0.5');
+      assert.strictEqual(Decimal.from('+7').toString(), '7');
+      assert.strictEqual(Decimal.from('.5').toString(), '0.5');
+      assert.strictEqual(Decimal.from('5.').toString(), '5');
+      assert.strictEqual(Decimal.from(' 42 ').toString(), '42');
+    });
+
+    it('parses exponents', () => {
+      assert.strictEqual(Decimal.from('1.5e3').toString(), '1500');
+      assert.strictEqual(Decimal.from('25E-4').toString(), '0.0025');
+    });
+
+    it('parses numbers through their shortest string', () => {
+      assert.strictEqual(Decimal.from(0.1).toString(), '0.1');
+      assert.strictEqual(Decimal.from(1e-7).toString(), '0.0000001');
+      assert.strictEqual(Decimal.from(-3).toString(), '-3');
+    });
+
+    it('returns Decimals as they are', () => {
+      const value = Decimal.from('1.25');
+      assert.strictEqual(Decimal.from(value), value);
+    });
+
+    it('rejects anything that isn\'t a number', () => {
+      for (const value of ['', 'abc', '1.2.3', '1,5', '.', '-', NaN,
+        Infinity, null, undefined]) {
+        assert.throws(() => Decimal.from(value), TypeError, String(value));
+      }
+    });
+  });
+
+  describe('arithmetic', () => {
+    it('adds and subtracts exactly', () => {
+      assert.strictEqual(Decimal.from('0.1').plus('0.2').toString(), '0.3');
+      assert.strictEqual(Decimal.from('1').minus('0.01').toString(), '0.99');
+      assert.strictEqual(Decimal.from('-2.5').plus(2.5).toString(), '0');
+    });
+
+    it('keeps the scale of both sides when multiplying', () => {
+      const product = Decimal.from('1.25').times('0.2');
+      assert.strictEqual(product.toString(), '0.25');
+      assert.strictEqual(product.toFixed(3), '0.250');
+      assert.strictEqual(Decimal.from('-1.1').times('1.1').toString(),
+        '-1.21');
+    });
+
+    it('divides to the requested number of places', () => {
+      assert.strictEqual(Decimal.from(1).dividedBy(3, 4).toString(),
+        '0.3333');
+      assert.strictEqual(Decimal.from(2).dividedBy(3, 4).toString(),
+        '0.6667');
+      assert.strictEqual(Decimal.from(-2).dividedBy(3, 4).toString(),
+        '-0.6667');
+      assert.strictEqual(Decimal.from(2).dividedBy(-3, 4).toString(),
+        '-0.6667');
+      assert.strictEqual(Decimal.from('1.23456').dividedBy(1, 2).toString(),
+        '1.23');
+    });
+
+    it('divides to 20 places by default', () => {
+      assert.strictEqual(Decimal.from(1).dividedBy(3).toString(),
+        `0.${'3'.repeat(20)}`);
+      assert.strictEqual(Decimal.from(10).dividedBy('0.25').toString(), '40');
+    });
+
+    it('refuses to divide by zero', () => {
+      assert.throws(() => Decimal.from(1).dividedBy('0.00'), RangeError);
+    });
+
+    it('compares values of different scales', () => {
+      assert.strictEqual(Decimal.from('1.50').compareTo('1.5'), 0);
+      assert.strictEqual(Decimal.from('1.49').compareTo(1.5), -1);
+      assert.strictEqual(Decimal.from('-1').compareTo('-1.01'), 1);
+      assert.ok(Decimal.from('0.000').isZero());
+      assert.ok(!Decimal.from('0.001').isZero());
+    });
+  });
+
+  describe('rounding', () => {
+    it('rounds half away from zero', () => {
+      assert.strictEqual(Decimal.from('2.345').round(2).toString(), '2.35');
+      assert.strictEqual(Decimal.from('-2.345').round(2).toString(), '-2.35');
+      assert.strictEqual(Decimal.from('2.344').round(2).toString(), '2.34');
+      assert.strictEqual(Decimal.from('0.5').round(0).toString(), '1');
+      assert.strictEqual(Decimal.from('-0.5').round(0).toString(), '-1');
+    });
+
+    it('leaves values with fewer places alone', () => {
+      const value = Decimal.from('1.5');
+      assert.strictEqual(value.round(2), value);
+    });
+  });
+
+  describe('formatting', () => {
+    it('pads or rounds to a fixed number of places', () => {
+      assert.strictEqual(Decimal.from('3').toFixed(2), '3.00');
+      assert.strictEqual(Decimal.from('0.05').toFixed(2), '0.05');
+      assert.strictEqual(Decimal.from('-0.005').toFixed(2), '-0.01');
+      assert.strictEqual(Decimal.from('2.5').toFixed(0), '3');
+      assert.strictEqual(Decimal.from('1234.5678').toFixed(1), '1234.6');
+    });
+
+    it('doesn\'t show negative zero', () => {
+      assert.strictEqual(Decimal.from('-0.004').toFixed(2), '0.00');
+      assert.strictEqual(Decimal.from('-0.4').toFixed(0), '0');
+    });
+
+    it('drops trailing zeroes from strings', () => {
+      assert.strictEqual(Decimal.from('1.500').toString(), '1.5');
+      assert.strictEqual(Decimal.from('100').toString(), '100');
+      assert.strictEqual(Decimal.from('100.00').toString(), '100');
+    });
+
+    it('converts to the nearest number', () => {
+      assert.strictEqual(Decimal.from('1.1').times(3).toNumber(), 3.3);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+require('babel-register');
+
+const Expression = require('../scripts/expression.js');
+
+/**
+ * Evaluates an expression, for comparing the result as a string.
+ * @param {string} text The expression.
+ * @param {string} decimalSeparator The decimal separator for the locale.
+ * @return {?string} The result, without trailing zeroes.
+ */
+function evaluate(text, decimalSeparator) {
+  const result = Expression.evaluate(text, decimalSeparator);
+  return result === null ? null : result.toString();
+}
+
+/**
+ * Asserts that an expression is rejected, and where.
+ * @param {string} text The expression.
+ * @param {RegExp} message What the error message should match.
+ * @param {number} position The index where the problem should start.
+ */
+function assertRejected(text, message, position) {
+  assert.throws(() => Expression.evaluate(text), (error) => {
+    assert.ok(error instanceof Expression.ExpressionError);
+    assert.match(error.message, message);
+    assert.strictEqual(error.position, position);
+    return true;
+  });
+}
+
+describe('expressions', () => {
+  it('treats empty text as no amount', () => {
+    assert.strictEqual(evaluate(''), null);
+    assert.strictEqual(evaluate('   '), null);
+  });
+
+  it('reads plain numbers', () => {
+    assert.strictEqual(evaluate('42'), '42');
+    assert.strictEqual(evaluate('4.50'), '4.5');
+    assert.strictEqual(evaluate('.5'), '0.5');
+  });
+
+  it('multiplies and divides before adding and subtracting', () => {
+    assert.strictEqual(evaluate('2 + 3 * 4'), '14');
+    assert.strictEqual(evaluate('2 * 3 + 4'), '10');
+    assert.strictEqual(evaluate('10 - 6 / 2'), '7');
+    assert.strictEqual(evaluate('(2 + 3) * 4'), '20');
+  });
+
+  it('works left to right at the same precedence', () => {
+    assert.strictEqual(evaluate('2 - 3 - 4'), '-5');
+    assert.strictEqual(evaluate('8 / 4 / 2'), '1');
+  });
+
+  it('supports signs and other operator symbols', () => {
+    assert.strictEqual(evaluate('-3 * -2'), '6');
+    assert.strictEqual(evaluate('--2'), '2');
+    assert.strictEqual(evaluate('3 × 4 ÷ 2 − 1'), '5');
+    assert.strictEqual(evaluate('3x4'), '12');
+  });
+
+  it('avoids floating point errors', () => {
+    assert.strictEqual(evaluate('0.1 + 0.2'), '0.3');
+    assert.strictEqual(evaluate('3 * 4.10'), '12.3');
+  });
+
+  describe('percentages', () => {
+    it('adds or subtracts a percentage of the amount', () => {
+      assert.strictEqual(evaluate('80 + 15%'), '92');
+      assert.strictEqual(evaluate('80 - 25%'), '60');
+    });
+
+    it('takes a percentage when multiplying', () => {
+      assert.strictEqual(evaluate('200 * 15%'), '30');
+      assert.strictEqual(evaluate('100 / 10%'), '1000');
+    });
+
+    it('is a fraction on its own', () => {
+      assert.strictEqual(evaluate('15%'), '0.15');
+    });
+
+    it('applies to the whole amount before it', () => {
+      assert.strictEqual(evaluate('(80 + 20) + 10%'), '110');
+      assert.strictEqual(evaluate('2 * 40 + 15%'), '92');
+    });
+  });
+
+  describe('decimal separators', () => {
+    it('uses the separator of the locale', () => {
+      assert.strictEqual(evaluate('3,5 + 1', ','), '4.5');
+      assert.strictEqual(evaluate('2٫5 * 2', '٫'), '5');
+    });
+
+    it('always accepts a period too', () => {
+      assert.strictEqual(evaluate('3.5 + 1,5', ','), '5');
+    });
+
+    it('doesn\'t accept a comma when the separator is a period', () => {
+      assertRejected('3,5', /","/, 1);
+    });
+
+    it('copes with separators that are special in patterns', () => {
+      assert.strictEqual(evaluate('1]5 + 1', ']'), '2.5');
+      assert.strictEqual(evaluate('1\\5 + 1', '\\'), '2.5');
+      assert.strictEqual(evaluate('1^5 + 1', '^'), '2.5');
+    });
+  });
+
+  describe('invalid input', () => {
+    it('rejects characters that aren\'t allowed', () => {
+      assertRejected('2 $ 3', /"\$" is not allowed here \(position 3\)/, 2);
+    });
+
+    it('rejects incomplete calculations', () => {
+      assertRejected('2 +', /incomplete/, 3);
+      assertRejected('()', /Unexpected "\)"/, 1);
+    });
+
+    it('rejects numbers without an operator between them', () => {
+      assertRejected('2 3', /Unexpected "3" \(position 3\)/, 2);
+    });
+
+    it('rejects unclosed parentheses', () => {
+      assertRejected('4 * (2 + 3', /Missing "\)" for the "\(" at position 5/,
+        4);
+    });
+
+    it('rejects dividing by zero', () => {
+      assertRejected('1 / (2 - 2)', /Cannot divide by zero \(position 3\)/, 2);
+    });
+  });
+
+  it('tells calculations from plain numbers', () => {
+    assert.strictEqual(Expression.isCalculation('12.50'), false);
+    assert.strictEqual(Expression.isCalculation('1 234,5'), false);
+    assert.strictEqual(Expression.isCalculation('-12'), false);
+    assert.strictEqual(Expression.isCalculation('2+3'), true);
+    assert.strictEqual(Expression.isCalculation('10%'), true);
+  });
+});
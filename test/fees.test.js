@@ -0,0 +1,86 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+require('babel-register');
+
+const Fees = require('../scripts/fees.js');
+const Ids = require('../scripts/ids.js');
+
+describe('fees', () => {
+  it('adds the markup as a percentage of the amount', () => {
+    const card = Fees.createProfile('Card', 2.75, 0);
+    assert.strictEqual(Fees.applyFee(100, card).toString(), '102.75');
+    assert.strictEqual(Fees.applyFee('40.00', card).toString(), '41.1');
+  });
+
+  it('adds the fixed fee after the markup', () => {
+    const atm = Fees.createProfile('ATM', 2, 3);
+    // The fixed fee isn't marked up: 200 + 4 + 3.
+    assert.strictEqual(Fees.applyFee(200, atm).toString(), '207');
+  });
+
+  it('rounds half away from zero to the minor units', () => {
+    const bureau = Fees.createProfile('Bureau', 7, 0);
+    // 10.05 * 1.07 = 10.7535.
+    assert.strictEqual(Fees.applyFee('10.05', bureau).toFixed(2), '10.75');
+    // 1.5% of 1050 is 15.75, so 1065.75 rounds up to 1066 yen.
+    assert.strictEqual(
+      Fees.applyFee(1050, Fees.createProfile('Card', 1.5, 0), 0).toString(),
+      '1066');
+    assert.strictEqual(
+      Fees.applyFee('0.005', Fees.createProfile('None'), 2).toString(),
+      '0.01');
+  });
+
+  it('charges nothing without a markup or fee', () => {
+    assert.strictEqual(
+      Fees.applyFee('12.34', Fees.createProfile('None')).toString(), '12.34');
+    assert.strictEqual(Fees.applyFee(5, {}).toString(), '5');
+  });
+
+  it('works on exact amounts', () => {
+    const card = Fees.createProfile('Card', 10, 0.1);
+    // With floating point, 0.1 * 1.1 + 0.1 is 0.21000000000000002.
+    assert.strictEqual(Fees.applyFee(0.1, card, 4).toString(), '0.21');
+  });
+
+  it('offers a few common profiles', () => {
+    assert.deepStrictEqual(
+      Fees.DEFAULT_PROFILES.map(({name, percentage, fixed}) =>
+        [name, percentage, fixed]), [
+        ['Card', 2.75, 0],
+        ['ATM withdrawal', 2.75, 3],
+        ['Cash bureau', 7, 0],
+      ]);
+  });
+});
+
+describe('ids', () => {
+  it('start with the time they were created at', () => {
+    const before = Date.now();
+    const [time] = Ids.createId().split('-');
+    assert.ok(parseInt(time, 36) >= before);
+    assert.ok(parseInt(time, 36) <= Date.now());
+  });
+
+  it('are given to everything the user creates', () => {
+    const profile = Fees.createProfile('Card');
+    assert.match(profile.id, /^[0-9a-z]+-[0-9a-z]*$/);
+  });
+});
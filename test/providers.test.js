@@ -0,0 +1,97 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const {after, before, describe, it} = require('node:test');
+
+// The providers run in the browser, so give them what they use from it.
+require('babel-register');
+global.XMLHttpRequest = require('xhr2');
+global.DOMParser = require('@xmldom/xmldom').DOMParser;
+
+const Providers = require('../scripts/providers.js');
+const Stub = require('./stub-server.js');
+
+describe('rate providers', () => {
+  let server = null;
+  let root = '';
+
+  before(() => Stub.start().then((started) => {
+    server = started;
+    root = `http://localhost:${server.address().port}`;
+  }));
+
+  after(() => server.close());
+
+  it('fetches rates from the server endpoint', () =>
+    Providers.createProvider({type: 'server', url: `${root}/rates`})
+      .fetchRates(true)
+      .then((rates) => assert.deepStrictEqual(rates, {
+        base: 'EUR',
+        date: Stub.DATE,
+        rates: {USD: 1.1658, JPY: 129.04, GBP: 0.88605},
+      })));
+
+  it('parses the ECB XML', () =>
+    Providers.createProvider({type: 'ecb', url: `${root}/ecb.xml`})
+      .fetchRates()
+      .then((rates) => assert.deepStrictEqual(rates, {
+        base: 'EUR',
+        date: Stub.DATE,
+        rates: {USD: 1.1658, JPY: 129.04, GBP: 0.88605},
+      })));
+
+  it('goes through the app\'s server for the ECB by default', () =>
+    assert.strictEqual(Providers.createProvider({type: 'ecb', url: ''}).source,
+      Providers.ECB_URL));
+
+  it('maps JSON from configured paths', () =>
+    Providers.createProvider({
+      type: 'custom',
+      url: `${root}/custom.json`,
+      format: 'json',
+      base: 'usd',
+      ratesPath: 'data.quotes',
+      datePath: 'data.updated',
+    }).fetchRates()
+      .then((rates) => assert.deepStrictEqual(rates, {
+        base: 'USD',
+        date: Stub.DATE,
+        rates: {EUR: 0.8578},
+      })));
+
+  it('maps CSV, skipping headers', () =>
+    Providers.createProvider({
+      type: 'custom',
+      url: `${root}/custom.csv`,
+      format: 'csv',
+      base: 'USD',
+    }).fetchRates()
+      .then((rates) => assert.deepStrictEqual(rates.rates,
+        {EUR: 0.8578, JPY: 110.69})));
+
+  it('rejects payloads without rates', () =>
+    assert.rejects(Providers.createProvider(
+      {type: 'server', url: `${root}/empty.json`}).fetchRates()));
+
+  it('rejects server errors', () =>
+    Promise.all(['server', 'ecb', 'custom'].map((type) => assert.rejects(
+      Providers.createProvider({type, url: `${root}/missing`})
+        .fetchRates()))));
+
+  it('rejects a custom provider without a URL', () =>
+    assert.rejects(Providers.createProvider({type: 'custom'}).fetchRates()));
+});
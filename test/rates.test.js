@@ -0,0 +1,171 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+require('babel-register');
+
+const Rates = require('../scripts/rates.js');
+const RateTable = Rates.default;
+
+const EUR_RATES = {
+  base: 'EUR',
+  date: '2018-06-29',
+  rates: {USD: 1.25, JPY: 125, GBP: 0.5},
+};
+
+describe('RateTable', () => {
+  it('quotes rates from the base currency', () => {
+    const table = new RateTable(EUR_RATES);
+    assert.strictEqual(table.rate('EUR', 'USD').toString(), '1.25');
+    assert.strictEqual(table.rate('EUR', 'GBP').toString(), '0.5');
+  });
+
+  it('inverts rates to the base currency', () => {
+    const table = new RateTable(EUR_RATES);
+    assert.strictEqual(table.rate('USD', 'EUR').toString(), '0.8');
+    assert.strictEqual(table.rate('GBP', 'EUR').toString(), '2');
+  });
+
+  it('triangulates through the base currency', () => {
+    const table = new RateTable(EUR_RATES);
+    assert.strictEqual(table.rate('USD', 'JPY').toString(), '100');
+    assert.strictEqual(table.rate('GBP', 'USD').toString(), '2.5');
+  });
+
+  it('triangulates across payloads in different bases', () => {
+    const table = new RateTable([
+      EUR_RATES,
+      {base: 'USD', rates: {THB: 32}},
+      {base: 'THB', rates: {LAK: 250}},
+    ]);
+    assert.strictEqual(table.rate('EUR', 'THB').toString(), '40');
+    assert.strictEqual(table.rate('GBP', 'LAK').toString(), '20000');
+    assert.strictEqual(table.rate('LAK', 'GBP').toString(), '0.00005');
+  });
+
+  it('prefers the shortest path', () => {
+    // Through EUR, 1 GBP would buy 250 JPY.
+    const table = new RateTable([EUR_RATES, {base: 'GBP', rates: {JPY: 240}}]);
+    assert.strictEqual(table.rate('GBP', 'JPY').toString(), '240');
+  });
+
+  it('keeps the rates from earlier payloads', () => {
+    const table = new RateTable([EUR_RATES, {base: 'EUR', rates: {USD: 2}}]);
+    table.add({base: 'EUR', rates: {USD: 3}});
+    assert.strictEqual(table.rate('EUR', 'USD').toString(), '1.25');
+  });
+
+  it('converts a currency to itself, even without rates', () => {
+    assert.strictEqual(new RateTable().rate('XYZ', 'XYZ').toString(), '1');
+  });
+
+  it('skips rates it can\'t divide by', () => {
+    const table = new RateTable({
+      base: 'EUR',
+      rates: {EUR: 2, USD: 0, GBP: -1, JPY: 'n/a', CHF: 1.2},
+    });
+    assert.deepStrictEqual(table.codes().sort(), ['CHF', 'EUR']);
+    assert.strictEqual(table.rate('EUR', 'EUR').toString(), '1');
+  });
+
+  it('knows which currencies have rates', () => {
+    const table = new RateTable(EUR_RATES);
+    assert.deepStrictEqual(table.codes().sort(),
+      ['EUR', 'GBP', 'JPY', 'USD']);
+    assert.ok(table.isAvailable('JPY'));
+    assert.ok(!table.isAvailable('THB'));
+  });
+
+  it('forgets missing rates once new ones are added', () => {
+    const table = new RateTable(EUR_RATES);
+    assert.ok(!table.canConvert('EUR', 'THB'));
+    table.add({base: 'USD', rates: {THB: 32}});
+    assert.ok(table.canConvert('EUR', 'THB'));
+  });
+
+  describe('missing rates', () => {
+    it('reports currencies without rates', () => {
+      const table = new RateTable(EUR_RATES);
+      assert.ok(!table.canConvert('EUR', 'THB'));
+      assert.throws(() => table.rate('EUR', 'THB'),
+        Rates.RateUnavailableError);
+    });
+
+    it('reports currencies that aren\'t connected', () => {
+      const table = new RateTable([EUR_RATES, {base: 'XAU', rates: {XAG: 80}}]);
+      assert.ok(table.isAvailable('XAG'));
+      assert.ok(!table.canConvert('USD', 'XAG'));
+      assert.throws(() => table.rate('USD', 'XAG'),
+        Rates.RateUnavailableError);
+    });
+
+    it('throws a real error', () => {
+      const table = new RateTable(EUR_RATES);
+      assert.throws(() => table.rate('THB', 'EUR'), (error) => {
+        assert.ok(error instanceof Error);
+        assert.ok(error instanceof Rates.RateUnavailableError);
+        assert.strictEqual(error.name, 'RateUnavailableError');
+        assert.strictEqual(error.message,
+          'No rate is available from THB to EUR.');
+        assert.strictEqual(error.from, 'THB');
+        assert.strictEqual(error.to, 'EUR');
+        assert.match(error.stack, /RateUnavailableError/);
+        return true;
+      });
+    });
+  });
+});
+
+describe('custom rates', () => {
+  const NOW = Date.UTC(2018, 5, 29);
+  const overrides = {
+    'EUR:THB': {rate: 40},
+    'USD:LAK': {rate: 8000, expires: NOW + 1000},
+    'GBP:JPY': {rate: 150, expires: NOW},
+  };
+
+  it('finds the custom rate for a pair in either direction', () => {
+    assert.strictEqual(Rates.findOverride(overrides, 'EUR', 'THB', NOW),
+      overrides['EUR:THB']);
+    assert.strictEqual(Rates.findOverride(overrides, 'THB', 'EUR', NOW),
+      overrides['EUR:THB']);
+    assert.strictEqual(Rates.findOverride(overrides, 'LAK', 'USD', NOW),
+      overrides['USD:LAK']);
+  });
+
+  it('ignores expired custom rates', () => {
+    assert.strictEqual(Rates.findOverride(overrides, 'GBP', 'JPY', NOW), null);
+    assert.strictEqual(
+      Rates.findOverride(overrides, 'USD', 'LAK', NOW + 1000), null);
+  });
+
+  it('has no custom rate for other pairs', () => {
+    assert.strictEqual(Rates.findOverride(overrides, 'EUR', 'USD', NOW), null);
+    assert.strictEqual(Rates.overrideRate({}, 'EUR', 'USD', NOW), null);
+  });
+
+  it('inverts custom rates set for the other direction', () => {
+    assert.strictEqual(
+      Rates.overrideRate(overrides, 'EUR', 'THB', NOW).toString(), '40');
+    assert.strictEqual(
+      Rates.overrideRate(overrides, 'THB', 'EUR', NOW).toString(), '0.025');
+    assert.strictEqual(
+      Rates.overrideRate(overrides, 'LAK', 'USD', NOW).toString(), '0.000125');
+    assert.strictEqual(Rates.overrideRate(overrides, 'JPY', 'GBP', NOW), null);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const {describe, it} = require('node:test');
+
+require('babel-register');
+
+const {fuzzyMatch} = require('../scripts/search.js');
+
+/**
+ * Returns the part of the text a query matched.
+ * @param {string} query The search query.
+ * @param {string} text The text to search in.
+ * @return {string} The matched text.
+ */
+function matched(query, text) {
+  const match = fuzzyMatch(query, text);
+  return text.slice(match.start, match.end);
+}
+
+describe('fuzzyMatch', () => {
+  it('scores the whole text highest', () => {
+    assert.deepStrictEqual(fuzzyMatch('euro', 'Euro'),
+      {score: 1, start: 0, end: 4});
+  });
+
+  it('scores the start of the text next', () => {
+    assert.deepStrictEqual(fuzzyMatch('eur', 'Euro'),
+      {score: 0.95, start: 0, end: 3});
+  });
+
+  it('then the start of a word', () => {
+    assert.deepStrictEqual(fuzzyMatch('dollar', 'US Dollar'),
+      {score: 0.85, start: 3, end: 9});
+    assert.strictEqual(matched('franc', 'CFP-Franc'), 'Franc');
+    assert.strictEqual(matched('ivoire', 'Côte d\'Ivoire'), 'Ivoire');
+  });
+
+  it('then the middle of a word', () => {
+    assert.deepStrictEqual(fuzzyMatch('oll', 'US Dollar'),
+      {score: 0.7, start: 4, end: 7});
+  });
+
+  it('ignores case, accents and surrounding spaces', () => {
+    assert.strictEqual(fuzzyMatch('  REAL ', 'Brazilian Real').score, 0.85);
+    assert.strictEqual(fuzzyMatch('reunion', 'Réunion').score, 1);
+  });
+
+  describe('typos', () => {
+    it('tolerates a swapped pair of letters', () => {
+      assert.deepStrictEqual(fuzzyMatch('dolalr', 'US Dollar'),
+        {score: 0.25, start: 3, end: 9});
+      assert.strictEqual(matched('jpaan', 'Japan'), 'Japan');
+    });
+
+    it('tolerates a missing, extra or wrong letter', () => {
+      assert.strictEqual(matched('dolar', 'US Dollar'), 'Dollar');
+      assert.strictEqual(matched('germny', 'Germany'), 'Germany');
+      assert.strictEqual(matched('frnac', 'Swiss Franc'), 'Franc');
+      assert.strictEqual(matched('pesso', 'Mexican Peso'), 'Peso');
+    });
+
+    it('allows one typo for every four letters', () => {
+      assert.ok(fuzzyMatch('rupiah', 'Indonesian Rupaih'));
+      assert.strictEqual(fuzzyMatch('rpuaih', 'Indonesian Rupiah'), null);
+      assert.ok(fuzzyMatch('swedsih krona', 'Swedish Krona'));
+      assert.ok(fuzzyMatch('swedsih korna', 'Swedish Krona'));
+    });
+
+    it('doesn\'t allow typos in short queries', () => {
+      assert.strictEqual(fuzzyMatch('yne', 'Yen'), null);
+      assert.strictEqual(fuzzyMatch('eru', 'Euro'), null);
+    });
+
+    it('scores fewer typos higher, and below exact matches', () => {
+      const one = fuzzyMatch('swedsih krona', 'Swedish Krona');
+      const two = fuzzyMatch('swedsih korna', 'Swedish Krona');
+      assert.ok(one.score > two.score);
+      assert.ok(fuzzyMatch('ish', 'Swedish Krona').score > one.score);
+    });
+  });
+
+  describe('accented text', () => {
+    it('returns offsets in the original text', () => {
+      assert.deepStrictEqual(fuzzyMatch('tome', 'São Tomé'),
+        {score: 0.85, start: 4, end: 8});
+      assert.strictEqual(matched('tome', 'São Tomé'), 'Tomé');
+    });
+
+    it('counts combining accents as part of their letter', () => {
+      // "Réunion" with the accent as a separate character.
+      const text = 'Re\u0301union';
+      assert.deepStrictEqual(fuzzyMatch('union', text),
+        {score: 0.7, start: 3, end: 8});
+      assert.strictEqual(matched('re', text), 'Re\u0301');
+    });
+
+    it('returns offsets for typos in accented text', () => {
+      assert.strictEqual(matched('bolivair', 'Bolívar Soberano'), 'Bolívar');
+    });
+  });
+
+  it('doesn\'t match anything else', () => {
+    assert.strictEqual(fuzzyMatch('pound', 'US Dollar'), null);
+    assert.strictEqual(fuzzyMatch('', 'US Dollar'), null);
+    assert.strictEqual(fuzzyMatch('   ', 'US Dollar'), null);
+    assert.strictEqual(fuzzyMatch('dollar', null), null);
+  });
+});
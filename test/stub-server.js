@@ -0,0 +1,101 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A local stub of every rate source the app's providers understand, for the
+ * provider tests. Run it on its own to point the app's settings at it:
+ *
+ *     node test/stub-server.js [port]
+ */
+
+const http = require('http');
+
+const DATE = '2018-06-29';
+
+// Responses by path. Query strings, used for cache busting, are ignored.
+const RESPONSES = {
+  '/rates': {
+    type: 'application/json',
+    body: JSON.stringify({
+      base: 'EUR',
+      date: DATE,
+      rates: {USD: 1.1658, JPY: 129.04, GBP: 0.88605},
+    }),
+  },
+  '/ecb.xml': {
+    type: 'application/xml',
+    body: `<?xml version="1.0" encoding="UTF-8"?>
+<gesmes:Envelope xmlns:gesmes="http://www.gesmes.org/xml/2002-08-01" xmlns="http://www.ecb.int/vocabulary/2002-08-01/eurofxref">
+  <gesmes:subject>Reference rates</gesmes:subject>
+  <gesmes:Sender>
+    <gesmes:name>European Central Bank</gesmes:name>
+  </gesmes:Sender>
+  <Cube>
+    <Cube time="${DATE}">
+      <Cube currency="USD" rate="1.1658"/>
+      <Cube currency="JPY" rate="129.04"/>
+      <Cube currency="GBP" rate="0.88605"/>
+    </Cube>
+  </Cube>
+</gesmes:Envelope>
+`,
+  },
+  '/custom.json': {
+    type: 'application/json',
+    body: JSON.stringify({
+      data: {base: 'usd', updated: 1530230400, quotes: {eur: 0.8578}},
+    }),
+  },
+  '/custom.csv': {
+    type: 'text/csv',
+    body: 'currency,rate\r\n"EUR",0.8578\r\nJPY;110.69\r\n',
+  },
+  '/empty.json': {
+    type: 'application/json',
+    body: JSON.stringify({base: 'EUR', date: DATE, rates: {}}),
+  },
+};
+
+/**
+ * Starts the stub server.
+ * @param {number} port The port to listen on, or 0 for any free port.
+ * @return {Promise.<http.Server>} Promise to the listening server.
+ */
+function start(port = 0) {
+  const server = http.createServer((req, res) => {
+    const response = RESPONSES[req.url.split('?', 1)[0]];
+
+    // Let the app call it from its own origin too.
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (!response) {
+      res.writeHead(500, {'Content-Type': 'text/plain'});
+      res.end('Stub error');
+      return;
+    }
+    res.writeHead(200, {'Content-Type': response.type});
+    res.end(response.body);
+  });
+
+  return new Promise((resolve) =>
+    server.listen(port, 'localhost', () => resolve(server)));
+}
+
+module.exports = {DATE, start};
+
+if (require.main === module) {
+  start(parseInt(process.argv[2], 10) || 8081).then((server) =>
+    console.log(`Stub rates on http://localhost:${server.address().port}/`));
+}
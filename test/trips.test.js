@@ -0,0 +1,151 @@
+/**
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const assert = require('assert');
+const {afterEach, describe, it} = require('node:test');
+
+require('babel-register');
+
+const Decimal = require('../scripts/decimal.js').default;
+const Trips = require('../scripts/trips.js');
+
+/**
+ * Returns what an expense is worth in the home currency, at its stored rate.
+ * @param {Object} expense The expense.
+ * @return {?Decimal} The home amount, or null if there was no rate.
+ */
+function homeAmount(expense) {
+  return expense.home ?
+    Decimal.from(expense.amount).times(expense.home.rate).round(2) : null;
+}
+
+/**
+ * Returns a trip to Japan with a few expenses, paid for from euros.
+ * @return {Object} The trip.
+ */
+function japan() {
+  const home = (rate) => ({code: 'EUR', rate, date: '2018-06-29'});
+  let trip = Trips.createTrip('Japan', 'JPY', '2018-07-01', '2018-07-10');
+
+  trip = Trips.addExpense(trip, Trips.createExpense(1500, 'transport',
+    '2018-07-02', 'Train', home('0.0077')));
+  trip = Trips.addExpense(trip, Trips.createExpense('3200.5', 'food',
+    '2018-07-01', 'Ramen, gyoza', home('0.0078')));
+  trip = Trips.addExpense(trip, Trips.createExpense(800, 'food',
+    '2018-07-03', '', null));
+  return trip;
+}
+
+describe('trips', () => {
+  it('keeps expenses in date order', () => {
+    assert.deepStrictEqual(japan().expenses.map((expense) => expense.date),
+      ['2018-07-01', '2018-07-02', '2018-07-03']);
+  });
+
+  it('stores amounts and rates as exact strings', () => {
+    const [ramen] = japan().expenses;
+    assert.strictEqual(ramen.amount, '3200.5');
+    assert.deepStrictEqual(ramen.home,
+      {code: 'EUR', rate: '0.0078', date: '2018-06-29'});
+  });
+
+  it('removes expenses without changing the trip', () => {
+    const trip = japan();
+    const updated = Trips.removeExpense(trip, trip.expenses[1].id);
+    assert.strictEqual(trip.expenses.length, 3);
+    assert.deepStrictEqual(updated.expenses.map((expense) => expense.note),
+      ['Ramen, gyoza', '']);
+  });
+
+  describe('totals', () => {
+    it('adds up the travel and home amounts', () => {
+      const totals = Trips.totals(japan(), homeAmount);
+      assert.strictEqual(totals.travel.toString(), '5500.5');
+      // 3200.5 * 0.0078 = 24.96, and 1500 * 0.0077 = 11.55.
+      assert.strictEqual(totals.home.toString(), '36.51');
+    });
+
+    it('counts the expenses without a home amount', () => {
+      assert.strictEqual(Trips.totals(japan(), homeAmount).missing, 1);
+    });
+
+    it('adds up each category', () => {
+      const {categories} = Trips.totals(japan(), homeAmount);
+      assert.deepStrictEqual(Array.from(categories.keys()),
+        ['food', 'transport']);
+      assert.strictEqual(categories.get('food').travel.toString(), '4000.5');
+      assert.strictEqual(categories.get('food').home.toString(), '24.96');
+      assert.strictEqual(categories.get('transport').home.toString(),
+        '11.55');
+    });
+
+    it('keeps a running home total', () => {
+      const {running} = Trips.totals(japan(), homeAmount);
+      assert.deepStrictEqual(running.map(String), ['24.96', '36.51', '36.51']);
+    });
+
+    it('is zero for a trip without expenses', () => {
+      const totals = Trips.totals(
+        Trips.createTrip('Empty', 'JPY', '2018-07-01', null), homeAmount);
+      assert.ok(totals.travel.isZero());
+      assert.ok(totals.home.isZero());
+      assert.strictEqual(totals.missing, 0);
+    });
+  });
+
+  describe('CSV export', () => {
+    it('writes each expense with its home amount and the running total', () => {
+      assert.strictEqual(Trips.toCsv(japan(), 'EUR', homeAmount), [
+        'date,category,note,amount,currency,homeAmount,homeCurrency,homeTotal',
+        '2018-07-01,food,"Ramen, gyoza",3200.5,JPY,24.96,EUR,24.96',
+        '2018-07-02,transport,Train,1500,JPY,11.55,EUR,36.51',
+        '2018-07-03,food,,800,JPY,,EUR,36.51',
+        '',
+      ].join('\r\n'));
+    });
+
+    it('keeps notes from running as formulas', () => {
+      const trip = Trips.addExpense(
+        Trips.createTrip('Refunds', 'EUR', '2018-07-01', null),
+        Trips.createExpense(-5, 'other', '2018-07-01', '=1+1',
+          {code: 'EUR', rate: 1, date: '2018-07-01'}));
+      const [, row] = Trips.toCsv(trip, 'EUR', homeAmount).split('\r\n');
+      assert.strictEqual(row, '2018-07-01,other,\'=1+1,-5,EUR,-5,EUR,-5');
+    });
+  });
+
+  describe('today', () => {
+    const timeZone = process.env.TZ;
+
+    afterEach(() => {
+      if (timeZone === undefined) {
+        delete process.env.TZ;
+      } else {
+        process.env.TZ = timeZone;
+      }
+    });
+
+    it('is the date where the user is, not in UTC', () => {
+      process.env.TZ = 'America/Los_Angeles';
+      // 21:30 in Los Angeles is already the next day in UTC.
+      assert.strictEqual(Trips.today(new Date('2018-06-30T04:30:00Z')),
+        '2018-06-29');
+      process.env.TZ = 'Asia/Tokyo';
+      assert.strictEqual(Trips.today(new Date('2018-06-29T20:00:00Z')),
+        '2018-06-30');
+    });
+  });
+});